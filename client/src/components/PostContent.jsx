@@ -0,0 +1,34 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Displays a post body. `html` must be the server-rendered `contentHtml`,
+ * which is already sanitized; without it the raw `content` is shown as text
+ */
+const PostContent = ({ html, content = '', className = '' }) => {
+  const classes = ['post-content', className].filter(Boolean).join(' ');
+
+  if (!html) {
+    return (
+      <div className={`${classes} post-content-plain`} data-testid="post-content">
+        {content}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={classes}
+      data-testid="post-content"
+      dangerouslySetInnerHTML={{ __html: html }}
+    />
+  );
+};
+
+PostContent.propTypes = {
+  html: PropTypes.string,
+  content: PropTypes.string,
+  className: PropTypes.string
+};
+
+export default PostContent;
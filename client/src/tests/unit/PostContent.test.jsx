@@ -0,0 +1,39 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import PostContent from '../../components/PostContent';
+
+describe('PostContent Component', () => {
+  it('renders the server-rendered HTML', () => {
+    render(<PostContent html={'<h2>Intro</h2><p>Some <strong>bold</strong> text</p>'} />);
+
+    expect(screen.getByRole('heading', { level: 2, name: 'Intro' })).toBeInTheDocument();
+    expect(screen.getByText('bold').tagName).toBe('STRONG');
+  });
+
+  it('renders links and code blocks', () => {
+    render(
+      <PostContent
+        html={'<p><a href="https://example.com" rel="nofollow noopener noreferrer">site</a></p><pre><code class="language-js">const a = 1;</code></pre>'}
+      />
+    );
+
+    expect(screen.getByRole('link', { name: 'site' })).toHaveAttribute('href', 'https://example.com');
+    expect(screen.getByText('const a = 1;')).toHaveClass('language-js');
+  });
+
+  it('falls back to the raw content as plain text', () => {
+    render(<PostContent content="**not** <b>html</b>" />);
+
+    const container = screen.getByTestId('post-content');
+    expect(container).toHaveTextContent('**not** <b>html</b>');
+    expect(container).toHaveClass('post-content-plain');
+    expect(container).toContainHTML('&lt;b&gt;html&lt;/b&gt;');
+  });
+
+  it('applies a custom class', () => {
+    render(<PostContent html="<p>text</p>" className="article" />);
+
+    expect(screen.getByTestId('post-content')).toHaveClass('post-content', 'article');
+  });
+});
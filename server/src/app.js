@@ -3,16 +3,34 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 
-const { requestLogger, errorHandler } = require('./middleware/auth');
+const { requestLogger, errorHandler, rateLimit } = require('./middleware/auth');
+const { RATE_LIMITS } = require('./config/rateLimits');
+const { parseTrustProxy } = require('./utils/helpers');
 const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const postRoutes = require('./routes/posts');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const searchRoutes = require('./routes/search');
 
 const app = express();
 
+// Proxies allowed to set the client IP (X-Forwarded-For), see parseTrustProxy
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet());
 app.use(cors({
   origin: process.env.CLIENT_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: [
+    'X-Total-Count',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'RateLimit-Policy',
+    'Retry-After'
+  ]
 }));
 
 // Logging middleware
@@ -25,8 +43,16 @@ app.use(requestLogger);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Overall rate limit; stricter per-route policies are applied in the routers
+app.use('/api', rateLimit(RATE_LIMITS.api));
+
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/posts', postRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
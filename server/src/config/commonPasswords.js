@@ -0,0 +1,33 @@
+/**
+ * Common passwords rejected by the password policy (lowercase)
+ * Matching ignores case and trailing digits/symbols, so "Password123!" is
+ * caught by "password"
+ */
+
+module.exports = [
+  '123456', '1234567', '12345678', '123456789', '1234567890', '0987654321',
+  '111111', '11111111', '000000', '00000000', '121212', '123123', '123321',
+  '654321', '666666', '696969', '7777777', '888888', '987654321',
+  'password', 'passw0rd', 'p@ssword', 'p@ssw0rd', 'pass', 'passwd', 'pa55word',
+  'qwerty', 'qwertyuiop', 'qwerty123', 'qwer', 'asdf', 'asdfgh', 'asdfghjkl',
+  'zxcvbn', 'zxcvbnm', '1q2w3e', '1q2w3e4r', '1q2w3e4r5t', 'q1w2e3r4', '1qaz2wsx',
+  'qazwsx', 'abc', 'abcd', 'abcdef', 'abcdefg', 'abc123', 'a1b2c3', 'aa',
+  'letmein', 'welcome', 'welcome1', 'login', 'admin', 'administrator', 'root',
+  'user', 'guest', 'test', 'tester', 'default', 'changeme', 'secret', 'private',
+  'iloveyou', 'lovely', 'love', 'loveme', 'trustno', 'whatever', 'hello',
+  'monkey', 'dragon', 'master', 'shadow', 'sunshine', 'princess', 'starwars',
+  'football', 'baseball', 'basketball', 'soccer', 'hockey', 'golf', 'tennis',
+  'superman', 'batman', 'spiderman', 'pokemon', 'mustang', 'ferrari', 'harley',
+  'michael', 'jennifer', 'jordan', 'hunter', 'charlie', 'thomas', 'jessica',
+  'daniel', 'andrew', 'joshua', 'george', 'robert', 'ashley', 'nicole', 'maggie',
+  'summer', 'winter', 'spring', 'autumn', 'freedom', 'flower', 'cookie',
+  'cheese', 'chocolate', 'banana', 'orange', 'pepper', 'ginger', 'purple',
+  'killer', 'ninja', 'access', 'matrix', 'computer', 'internet', 'google',
+  'facebook', 'linkedin', 'samsung', 'apple', 'microsoft', 'windows', 'linux',
+  'zaq12wsx', 'zaq1zaq1', 'azerty', 'qwertz', 'mypass', 'mypassword',
+  'newpassword', 'oldpassword', 'temp', 'temppass', 'security', 'secure',
+  'blink182', 'liverpool', 'chelsea', 'arsenal', 'yankees', 'lakers', 'cowboys',
+  'biteme', 'fuckyou', 'asshole', 'trustme', 'money', 'banking', 'business',
+  'corvette', 'mercedes', 'porsche', 'hello123', 'iloveu', 'sweetie', 'angel',
+  'babygirl', 'buster', 'tigger', 'bailey', 'buddy', 'lucky', 'snoopy'
+];
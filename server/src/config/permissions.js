@@ -0,0 +1,52 @@
+/**
+ * Permission configuration
+ * Permissions are `resource:action` strings; each role is granted everything
+ * the role below it has plus its own additions
+ */
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_UPDATE: 'users:update',
+  USERS_DELETE: 'users:delete',
+  USERS_MANAGE_ROLES: 'users:manage-roles',
+  POSTS_CREATE: 'posts:create',
+  POSTS_MODERATE: 'posts:moderate',
+  CATEGORIES_MANAGE: 'categories:manage',
+  TAGS_MANAGE: 'tags:manage',
+  COMMENTS_CREATE: 'comments:create',
+  COMMENTS_MODERATE: 'comments:moderate',
+  AUDIT_READ: 'audit:read'
+};
+
+const userPermissions = [
+  PERMISSIONS.POSTS_CREATE,
+  PERMISSIONS.COMMENTS_CREATE
+];
+
+const moderatorPermissions = [
+  ...userPermissions,
+  PERMISSIONS.USERS_READ,
+  PERMISSIONS.POSTS_MODERATE,
+  PERMISSIONS.CATEGORIES_MANAGE,
+  PERMISSIONS.COMMENTS_MODERATE
+];
+
+const adminPermissions = [
+  ...moderatorPermissions,
+  PERMISSIONS.USERS_UPDATE,
+  PERMISSIONS.USERS_DELETE,
+  PERMISSIONS.USERS_MANAGE_ROLES,
+  PERMISSIONS.TAGS_MANAGE,
+  PERMISSIONS.AUDIT_READ
+];
+
+const ROLE_PERMISSIONS = {
+  user: userPermissions,
+  moderator: moderatorPermissions,
+  admin: adminPermissions
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS
+};
@@ -0,0 +1,50 @@
+/**
+ * Rate-limit policies
+ * Each policy counts hits per key (the client IP, or the authenticated user
+ * for `keyBy: 'user'`) over a sliding window. `max` may be a function of the
+ * request to give some users a different allowance
+ */
+const { PERMISSIONS } = require('./permissions');
+const { hasPermission } = require('../utils/permissions');
+const { isRateLimitEnabled } = require('../utils/rateLimitStore');
+
+const MINUTE = 60 * 1000;
+
+// Configured limits are switched off together (see isRateLimitEnabled)
+const skip = () => !isRateLimitEnabled();
+
+const RATE_LIMITS = {
+  // Every API request, per IP
+  api: {
+    name: 'api',
+    windowMs: 15 * MINUTE,
+    max: 1000,
+    skip
+  },
+  // Credential endpoints, per IP
+  auth: {
+    name: 'auth',
+    windowMs: 15 * MINUTE,
+    max: 20,
+    skip
+  },
+  // Endpoints that send email, per IP
+  email: {
+    name: 'email',
+    windowMs: 60 * MINUTE,
+    max: 5,
+    skip
+  },
+  // Content creation, per user; moderators get more room
+  write: {
+    name: 'write',
+    windowMs: 15 * MINUTE,
+    max: (req) => (req.user && hasPermission(req.user.role, PERMISSIONS.POSTS_MODERATE) ? 300 : 60),
+    keyBy: 'user',
+    skip
+  }
+};
+
+module.exports = {
+  RATE_LIMITS
+};
@@ -0,0 +1,64 @@
+const AuditEvent = require('../models/AuditEvent');
+const { formatSuccessResponse } = require('../utils/helpers');
+
+/**
+ * @desc    List audit events, newest first
+ * @route   GET /api/audit
+ * @access  Private/Admin
+ */
+const getAuditEvents = async (req, res, next) => {
+  try {
+    // Validated and converted by schemas/audit
+    const { page, limit, actor, target, action, from, to } = req.query;
+
+    // Build query
+    const query = {};
+    if (actor) query.actor = actor;
+    if (target) query.target = target;
+    if (action) query.action = { $in: action };
+
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = from;
+      if (to) query.createdAt.$lte = to;
+    }
+
+    // Calculate pagination
+    const skip = (page - 1) * limit;
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .populate('actor', 'name email')
+        .populate('target', 'name email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditEvent.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json(
+      formatSuccessResponse(
+        {
+          events,
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+          }
+        },
+        'Audit events retrieved successfully'
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAuditEvents
+};
@@ -1,5 +1,163 @@
 const User = require('../models/User');
-const { formatErrorResponse, formatSuccessResponse } = require('../utils/helpers');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const AuditEvent = require('../models/AuditEvent');
+const Reaction = require('../models/Reaction');
+const { formatErrorResponse, formatSuccessResponse, escapeRegex } = require('../utils/helpers');
+const logger = require('../utils/logger');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/mailer');
+const {
+  THROTTLE_SCOPES,
+  checkThrottle,
+  registerThrottledAttempt,
+  clearThrottle
+} = require('../utils/loginThrottle');
+const {
+  getEmailVerificationPolicy,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
+} = require('../utils/auth');
+
+/**
+ * Issue an access token and a new refresh token for a user
+ * @param {object} user - User document
+ * @param {object} req - Express request object
+ * @returns {Promise<object>} - Access and refresh tokens
+ */
+const issueAuthTokens = async (user, req) => {
+  const { token: refreshToken } = await RefreshToken.issue(user, {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    token: user.generateAuthToken(),
+    refreshToken
+  };
+};
+
+/**
+ * Email a verification link to a user
+ * Delivery failures are logged rather than failing the request, the user can
+ * ask for a new link later
+ * @param {object} user - User document
+ * @param {object} req - Express request object
+ */
+const sendVerificationLink = async (user, req) => {
+  try {
+    await sendVerificationEmail(user, generateEmailVerificationToken(user));
+  } catch (error) {
+    logger.logError(error, req);
+  }
+};
+
+/**
+ * Reject a password that breaks the password policy
+ * @param {object} res - Express response object
+ * @param {string} password - Proposed password
+ * @param {object} user - The account's { name, email }
+ * @returns {boolean} - True if the password was rejected (response sent)
+ */
+const rejectWeakPassword = (res, password, user) => {
+  const { isValid, errors } = validatePassword(password, user);
+  if (isValid) return false;
+
+  res.status(400).json(
+    formatErrorResponse('Password does not meet the requirements', 'WEAK_PASSWORD', errors)
+  );
+  return true;
+};
+
+/**
+ * Reject the current password or one used recently
+ * @param {object} res - Express response object
+ * @param {string} password - Proposed password
+ * @param {object} user - User document with password and passwordHistory
+ * @returns {Promise<boolean>} - True if the password was rejected (response sent)
+ */
+const rejectReusedPassword = async (res, password, user) => {
+  if (!(await user.isPasswordReused(password))) return false;
+
+  res.status(400).json(
+    formatErrorResponse(
+      'Password has been used recently',
+      'PASSWORD_REUSED',
+      [`Choose a password that is not your current one or one of your last ${User.getPasswordHistorySize()}`]
+    )
+  );
+  return true;
+};
+
+/**
+ * Record a failed login attempt in the audit log
+ * @param {object} req - Express request object
+ * @param {string} target - Id of the account, if it exists
+ * @param {string} reason - Why the attempt failed
+ */
+const auditFailedLogin = (req, target, reason) => {
+  return AuditEvent.record(req, {
+    action: 'login_failed',
+    target,
+    success: false,
+    details: { email: req.body.email, reason }
+  });
+};
+
+/**
+ * Respond to a login attempt on a locked account
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {Date} lockUntil - End of the lockout
+ */
+const sendAccountLocked = (req, res, lockUntil) => {
+  logger.logSecurity('Locked Account Login Attempt', {
+    email: req.body.email,
+    ip: req.ip,
+    lockUntil,
+    severity: 'high'
+  });
+
+  const retryAfter = Math.ceil((lockUntil.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(Math.max(retryAfter, 1)));
+  return res.status(423).json(
+    formatErrorResponse(
+      'Account temporarily locked due to too many failed login attempts',
+      'ACCOUNT_LOCKED',
+      [`Try again after ${lockUntil.toISOString()}`]
+    )
+  );
+};
+
+/**
+ * Respond to an attempt made while the target email is throttled
+ * The response is the same whether or not an account exists
+ */
+const sendThrottled = (req, res, retryAfterMs) => {
+  logger.logSecurity('Throttled Attempt', {
+    email: req.body.email,
+    ip: req.ip,
+    path: req.originalUrl,
+    severity: 'medium'
+  });
+
+  res.set('Retry-After', String(Math.max(Math.ceil(retryAfterMs / 1000), 1)));
+  return res.status(429).json(
+    formatErrorResponse('Too many attempts, please try again later', 'TOO_MANY_ATTEMPTS')
+  );
+};
+
+/**
+ * Respond to a request made for a deactivated account
+ * @param {object} res - Express response object
+ */
+const sendAccountDisabled = (res) => {
+  return res.status(403).json(
+    formatErrorResponse('This account has been disabled', 'ACCOUNT_DISABLED')
+  );
+};
 
 /**
  * @desc    Register a new user
@@ -10,6 +168,8 @@ const register = async (req, res, next) => {
   try {
     const { name, email, password } = req.body;
 
+    if (rejectWeakPassword(res, password, { name, email })) return;
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -27,14 +187,26 @@ const register = async (req, res, next) => {
 
     await user.save();
 
-    // Generate token
-    const token = user.generateAuthToken();
+    await sendVerificationLink(user, req);
+
+    // Unverified accounts get no session when verification is mandatory
+    if (getEmailVerificationPolicy() === 'block') {
+      return res.status(201).json(
+        formatSuccessResponse(
+          { user: user.toJSON() },
+          'User registered successfully. Please verify your email address'
+        )
+      );
+    }
+
+    // Generate tokens
+    const tokens = await issueAuthTokens(user, req);
 
     res.status(201).json(
       formatSuccessResponse(
         {
           user: user.toJSON(),
-          token
+          ...tokens
         },
         'User registered successfully'
       )
@@ -53,38 +225,292 @@ const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json(
-        formatErrorResponse('Please provide email and password', 'MISSING_CREDENTIALS')
-      );
+    // Throttled per email, so spreading attempts over many IPs doesn't help
+    const retryAfter = await checkThrottle(THROTTLE_SCOPES.LOGIN, email);
+    if (retryAfter > 0) {
+      return sendThrottled(req, res, retryAfter);
     }
 
     // Find user and check password
     const user = await User.findByCredentials(email, password);
+    await clearThrottle(THROTTLE_SCOPES.LOGIN, email);
+
+    if (getEmailVerificationPolicy() === 'block' && !user.emailVerified) {
+      return res.status(403).json(
+        formatErrorResponse('Please verify your email address before logging in', 'EMAIL_NOT_VERIFIED')
+      );
+    }
+
+    // Password alone is not enough: hand out a short-lived challenge instead
+    if (user.twoFactorEnabled) {
+      return res.json(
+        formatSuccessResponse(
+          {
+            twoFactorRequired: true,
+            challengeToken: generateTwoFactorChallengeToken(user)
+          },
+          'Two-factor authentication required'
+        )
+      );
+    }
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = user.generateAuthToken();
+    await AuditEvent.record(req, { action: 'login', actor: user._id, target: user._id });
+
+    // Generate tokens
+    const tokens = await issueAuthTokens(user, req);
 
     res.json(
       formatSuccessResponse(
         {
           user: user.toJSON(),
-          token
+          ...tokens
         },
         'Login successful'
       )
     );
   } catch (error) {
+    if (error.message === 'Invalid login credentials' || error.message === 'Account locked') {
+      await registerThrottledAttempt(THROTTLE_SCOPES.LOGIN, req.body.email);
+    }
     if (error.message === 'Invalid login credentials') {
+      await auditFailedLogin(req, error.userId, 'invalid_credentials');
       return res.status(401).json(
         formatErrorResponse('Invalid email or password', 'INVALID_CREDENTIALS')
       );
     }
+    if (error.message === 'Account locked') {
+      await auditFailedLogin(req, error.userId, 'account_locked');
+      return sendAccountLocked(req, res, error.lockUntil);
+    }
+    if (error.message === 'Account disabled') {
+      await auditFailedLogin(req, error.userId, 'account_disabled');
+      return sendAccountDisabled(res);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete a two-factor login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public
+ */
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json(
+        formatErrorResponse('Login challenge is invalid or has expired', 'INVALID_CHALLENGE_TOKEN')
+      );
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json(
+        formatErrorResponse('Login challenge is invalid or has expired', 'INVALID_CHALLENGE_TOKEN')
+      );
+    }
+
+    if (!user.isActive) {
+      return sendAccountDisabled(res);
+    }
+
+    if (user.isLocked()) {
+      return sendAccountLocked(req, res, user.lockUntil);
+    }
+
+    // Wrong codes count towards the account lockout
+    if (!user.verifySecondFactor({ code, recoveryCode })) {
+      await user.registerFailedLogin();
+      await auditFailedLogin(req, user._id, 'invalid_two_factor_code');
+
+      if (user.isLocked()) {
+        return sendAccountLocked(req, res, user.lockUntil);
+      }
+      return res.status(401).json(
+        formatErrorResponse('Invalid verification code', 'INVALID_TWO_FACTOR_CODE')
+      );
+    }
+
+    user.clearFailedLogins();
+    user.lastLogin = new Date();
+    await user.save();
+
+    if (recoveryCode && !code) {
+      logger.logAuth('recovery_code_used', user, true, {
+        remaining: user.twoFactorRecoveryCodes.length
+      });
+    }
+
+    await AuditEvent.record(req, {
+      action: 'login',
+      actor: user._id,
+      target: user._id,
+      details: { method: recoveryCode && !code ? 'recovery_code' : 'totp' }
+    });
+
+    const tokens = await issueAuthTokens(user, req);
+
+    res.json(
+      formatSuccessResponse(
+        {
+          user: user.toJSON(),
+          ...tokens
+        },
+        'Login successful'
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access/refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const stored = await RefreshToken.consume(refreshToken);
+
+    if (!stored) {
+      // A known but already-used token means it leaked: revoke the whole family
+      const reused = await RefreshToken.findByToken(refreshToken);
+
+      if (reused) {
+        await RefreshToken.revokeFamily(reused.family);
+        logger.logSecurity('Refresh Token Reuse Detected', {
+          user: reused.user.toString(),
+          family: reused.family,
+          ip: req.ip,
+          userAgent: req.get('user-agent'),
+          severity: 'high'
+        });
+
+        return res.status(401).json(
+          formatErrorResponse('Refresh token has already been used', 'REFRESH_TOKEN_REUSED')
+        );
+      }
+
+      return res.status(401).json(
+        formatErrorResponse('Invalid refresh token', 'INVALID_REFRESH_TOKEN')
+      );
+    }
+
+    if (stored.isExpired()) {
+      return res.status(401).json(
+        formatErrorResponse('Refresh token expired', 'REFRESH_TOKEN_EXPIRED')
+      );
+    }
+
+    const user = await User.findById(stored.user);
+
+    if (!user) {
+      return res.status(401).json(
+        formatErrorResponse('Invalid refresh token', 'INVALID_REFRESH_TOKEN')
+      );
+    }
+
+    if (!user.isActive) {
+      return sendAccountDisabled(res);
+    }
+
+    // Rotate: the consumed token is replaced by a new one in the same family
+    const { token: newRefreshToken, refreshToken: replacement } = await RefreshToken.issue(user, {
+      family: stored.family,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    stored.replacedBy = replacement._id;
+    await stored.save();
+
+    res.json(
+      formatSuccessResponse(
+        {
+          token: user.generateAuthToken(),
+          refreshToken: newRefreshToken
+        },
+        'Token refreshed successfully'
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify email address
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.params.token);
+    } catch (error) {
+      return res.status(400).json(
+        formatErrorResponse('Verification link is invalid or has expired', 'INVALID_VERIFICATION_TOKEN')
+      );
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Links sent to a previous address must not verify the current one
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json(
+        formatErrorResponse('Verification link is invalid or has expired', 'INVALID_VERIFICATION_TOKEN')
+      );
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+      logger.logAuth('email_verified', user);
+    }
+
+    res.json(
+      formatSuccessResponse(user.toJSON(), 'Email verified successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Public
+ */
+const resendVerification = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    if (user && !user.emailVerified) {
+      await sendVerificationLink(user, req);
+    }
+
+    // Same response either way so the endpoint can't be used to probe for accounts
+    res.json(
+      formatSuccessResponse(null, 'If the account exists and is unverified, a verification link has been sent')
+    );
+  } catch (error) {
     next(error);
   }
 };
@@ -134,8 +560,16 @@ const updateMe = async (req, res, next) => {
     if (name !== undefined) user.name = name;
     if (email !== undefined) user.email = email;
 
+    // A new address has to be verified again
+    const emailChanged = user.isModified('email');
+    if (emailChanged) user.emailVerified = false;
+
     await user.save();
 
+    if (emailChanged) {
+      await sendVerificationLink(user, req);
+    }
+
     res.json(
       formatSuccessResponse(user.toJSON(), 'Profile updated successfully')
     );
@@ -153,14 +587,8 @@ const changePassword = async (req, res, next) => {
   try {
     const { currentPassword, newPassword } = req.body;
 
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json(
-        formatErrorResponse('Please provide current and new password', 'MISSING_PASSWORDS')
-      );
-    }
-
     // Find user with password
-    const user = await User.findById(req.user.id).select('+password');
+    const user = await User.findById(req.user.id).select('+password +passwordHistory');
     
     if (!user) {
       return res.status(404).json(
@@ -176,10 +604,15 @@ const changePassword = async (req, res, next) => {
       );
     }
 
+    if (rejectWeakPassword(res, newPassword, user)) return;
+    if (await rejectReusedPassword(res, newPassword, user)) return;
+
     // Update password
-    user.password = newPassword;
+    user.setPassword(newPassword);
     await user.save();
 
+    await AuditEvent.record(req, { action: 'password_changed', actor: user._id, target: user._id });
+
     res.json(
       formatSuccessResponse(null, 'Password changed successfully')
     );
@@ -189,22 +622,151 @@ const changePassword = async (req, res, next) => {
 };
 
 /**
- * @desc    Logout user
+ * @desc    Send a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Every request counts, whether or not the account exists
+    const retryAfter = await checkThrottle(THROTTLE_SCOPES.PASSWORD_RESET, email);
+    if (retryAfter > 0) {
+      return sendThrottled(req, res, retryAfter);
+    }
+    await registerThrottledAttempt(THROTTLE_SCOPES.PASSWORD_RESET, email);
+
+    const user = await User.findOne({ email });
+
+    // Disabled accounts get the same response but no email
+    if (user && user.isActive) {
+      const resetToken = user.generatePasswordResetToken();
+      await user.save({ validateBeforeSave: false });
+
+      // A delivery failure is only logged: an error here would reveal that
+      // the account exists
+      try {
+        await sendPasswordResetEmail(user, resetToken);
+        logger.logAuth('forgot_password', user);
+      } catch (error) {
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+        logger.logError(error, req);
+      }
+    }
+
+    // Same response either way so the endpoint can't be used to probe for accounts
+    res.json(
+      formatSuccessResponse(null, 'If an account exists for that email, a password reset link has been sent')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password using a reset token
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findByResetToken(req.params.token).select('+password +passwordHistory');
+
+    if (!user) {
+      return res.status(400).json(
+        formatErrorResponse('Password reset token is invalid or has expired', 'INVALID_RESET_TOKEN')
+      );
+    }
+
+    if (rejectWeakPassword(res, password, user)) return;
+    if (await rejectReusedPassword(res, password, user)) return;
+
+    // Tokens are single-use
+    user.setPassword(password);
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    // Proving control of the mailbox also lifts any lockout and throttling
+    user.clearFailedLogins();
+    await user.save();
+    await clearThrottle(THROTTLE_SCOPES.LOGIN, user.email);
+
+    // Sessions opened with the old password must not survive the reset
+    await user.revokeAllTokens();
+
+    logger.logAuth('password_reset', user);
+    await AuditEvent.record(req, { action: 'password_reset', actor: user._id, target: user._id });
+
+    res.json(
+      formatSuccessResponse(null, 'Password reset successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Logout user (revokes the current access token and its refresh token)
  * @route   POST /api/auth/logout
  * @access  Private
  */
-const logout = async (req, res) => {
-  // In a real app, you might want to blacklist the token
-  // For now, just send success response
-  res.json(
-    formatSuccessResponse(null, 'Logged out successfully')
-  );
+const logout = async (req, res, next) => {
+  try {
+    await RevokedToken.revoke(req.user);
+
+    const { refreshToken } = req.body;
+    if (refreshToken) {
+      const stored = await RefreshToken.findByToken(refreshToken);
+
+      // Only the owner may revoke a refresh token
+      if (stored && stored.user.toString() === req.user.id) {
+        await RefreshToken.revokeFamily(stored.family);
+      }
+    }
+
+    res.json(
+      formatSuccessResponse(null, 'Logged out successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
 };
 
 /**
- * @desc    Get all users (admin only)
+ * @desc    Logout user from all devices
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json(
+        formatErrorResponse('User not found', 'USER_NOT_FOUND')
+      );
+    }
+
+    await user.revokeAllTokens();
+
+    await AuditEvent.record(req, { action: 'logout_all', actor: user._id, target: user._id });
+
+    res.json(
+      formatSuccessResponse(null, 'Logged out of all devices successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all users (admins and moderators)
  * @route   GET /api/auth/users
- * @access  Private/Admin
+ * @access  Private/Moderator
  */
 const getAllUsers = async (req, res, next) => {
   try {
@@ -214,9 +776,11 @@ const getAllUsers = async (req, res, next) => {
     const query = {};
     if (role) query.role = role;
     if (search) {
+      // Literal substring match; ranked search lives in GET /api/search
+      const pattern = escapeRegex(search);
       query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
+        { name: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
       ];
     }
 
@@ -277,6 +841,18 @@ const deleteUser = async (req, res, next) => {
       );
     }
 
+    // The password history is stored on the user document and went with it.
+    // Reactions only exist as counts, so don't keep counting a deleted user
+    await Reaction.deleteMany({ user: user._id });
+
+    // The account is gone, so keep enough to identify it
+    await AuditEvent.record(req, {
+      action: 'user_deleted',
+      actor: req.user.id,
+      target: user._id,
+      details: { email: user.email, name: user.name, role: user.role }
+    });
+
     res.json(
       formatSuccessResponse(null, 'User deleted successfully')
     );
@@ -285,13 +861,195 @@ const deleteUser = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Change a user's role (admin only)
+ * @route   PATCH /api/auth/users/:id/role
+ * @access  Private/Admin
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const roles = User.getRoles();
+
+    if (!roles.includes(role)) {
+      return res.status(400).json(
+        formatErrorResponse('Invalid role', 'INVALID_ROLE', [`Role must be one of: ${roles.join(', ')}`])
+      );
+    }
+
+    // Prevent admin from demoting themselves
+    if (id === req.user.id) {
+      return res.status(400).json(
+        formatErrorResponse('Cannot change your own role', 'CANNOT_MODIFY_SELF')
+      );
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json(
+        formatErrorResponse('User not found', 'USER_NOT_FOUND')
+      );
+    }
+
+    const previousRole = user.role;
+
+    // Always leave at least one active admin behind
+    if (previousRole === 'admin' && role !== 'admin') {
+      const otherAdmins = await User.countDocuments({
+        _id: { $ne: user._id },
+        role: 'admin',
+        isActive: true
+      });
+
+      if (otherAdmins === 0) {
+        return res.status(400).json(
+          formatErrorResponse('Cannot demote the last admin', 'LAST_ADMIN')
+        );
+      }
+    }
+
+    if (previousRole !== role) {
+      user.role = role;
+      user.roleChangedBy = req.user.id;
+      user.roleChangedAt = new Date();
+      await user.save({ validateBeforeSave: false });
+
+      logger.logSecurity('role_changed', {
+        user: user._id.toString(),
+        from: previousRole,
+        to: role,
+        by: req.user.id,
+        ip: req.ip
+      });
+      await AuditEvent.record(req, {
+        action: 'role_changed',
+        actor: req.user.id,
+        target: user._id,
+        details: { from: previousRole, to: role }
+      });
+    }
+
+    res.json(
+      formatSuccessResponse(user.toJSON(), 'User role updated successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlock a user locked out by failed logins (admin only)
+ * @route   POST /api/auth/users/:id/unlock
+ * @access  Private/Admin
+ */
+const unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json(
+        formatErrorResponse('User not found', 'USER_NOT_FOUND')
+      );
+    }
+
+    // Unlocking also lifts the per-email throttle, or the user could stay
+    // delayed for up to the maximum throttle delay
+    user.clearFailedLogins();
+    await user.save({ validateBeforeSave: false });
+    await clearThrottle(THROTTLE_SCOPES.LOGIN, user.email);
+
+    logger.logAuth('account_unlocked', user, true, { by: req.user.id });
+    await AuditEvent.record(req, { action: 'account_unlocked', actor: req.user.id, target: user._id });
+
+    res.json(
+      formatSuccessResponse(user.toJSON(), 'User unlocked successfully')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set whether a user account is active (admin only)
+ * @param {boolean} isActive - New state
+ * @returns {Function} - Express handler
+ */
+const setUserActive = (isActive) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (id === req.user.id) {
+      return res.status(400).json(
+        formatErrorResponse('Cannot change the status of your own account', 'CANNOT_MODIFY_SELF')
+      );
+    }
+
+    const user = await User.findById(id);
+
+    if (!user) {
+      return res.status(404).json(
+        formatErrorResponse('User not found', 'USER_NOT_FOUND')
+      );
+    }
+
+    user.isActive = isActive;
+    await user.save({ validateBeforeSave: false });
+
+    // Existing sessions must not outlive the deactivation
+    if (!isActive) {
+      await user.revokeAllTokens();
+    }
+
+    const action = isActive ? 'account_reactivated' : 'account_deactivated';
+    logger.logAuth(action, user, true, { by: req.user.id });
+    await AuditEvent.record(req, { action, actor: req.user.id, target: user._id });
+
+    res.json(
+      formatSuccessResponse(
+        user.toJSON(),
+        isActive ? 'User reactivated successfully' : 'User deactivated successfully'
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Deactivate a user account (admin only)
+ * @route   POST /api/auth/users/:id/deactivate
+ * @access  Private/Admin
+ */
+const deactivateUser = setUserActive(false);
+
+/**
+ * @desc    Reactivate a user account (admin only)
+ * @route   POST /api/auth/users/:id/reactivate
+ * @access  Private/Admin
+ */
+const reactivateUser = setUserActive(true);
+
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  refresh,
+  verifyEmail,
+  resendVerification,
   getMe,
   updateMe,
   changePassword,
+  forgotPassword,
+  resetPassword,
   logout,
+  logoutAll,
   getAllUsers,
-  deleteUser
+  deleteUser,
+  updateUserRole,
+  unlockUser,
+  deactivateUser,
+  reactivateUser
 };
\ No newline at end of file
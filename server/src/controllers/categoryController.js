@@ -0,0 +1,158 @@
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { formatErrorResponse, isValidObjectId } = require('../utils/helpers');
+
+// Fields that may be set on create/update
+const EDITABLE_FIELDS = ['name', 'slug', 'description'];
+
+/**
+ * Pick the editable fields from a request body
+ * @param {object} body - Request body
+ * @returns {object} - Allowed fields only
+ */
+const pickEditable = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+/**
+ * Find a category by id
+ * @param {string} id - Category id
+ * @returns {Promise<object|null>} - Category document
+ */
+const findCategory = (id) => {
+  return isValidObjectId(id) ? Category.findById(id) : null;
+};
+
+/**
+ * Send a 404 for an unknown category
+ * @param {object} res - Express response object
+ */
+const sendNotFound = (res) => {
+  return res.status(404).json(
+    formatErrorResponse('Category not found', 'CATEGORY_NOT_FOUND')
+  );
+};
+
+/**
+ * @desc    List categories with their (visible) post counts
+ * @route   GET /api/categories
+ * @access  Public
+ */
+const getCategories = async (req, res, next) => {
+  try {
+    const categories = await Category.find().sort({ name: 1 });
+    const counts = await Category.countPosts(categories.map(category => category._id), req.user);
+
+    res.json(categories.map(category => ({
+      ...category.toJSON(),
+      postCount: counts.get(category._id.toString()) || 0
+    })));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single category with its (visible) post count
+ * @route   GET /api/categories/:id
+ * @access  Public
+ */
+const getCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return sendNotFound(res);
+    }
+
+    const postCount = await Post.countDocuments({
+      category: category._id,
+      ...Post.getVisibilityFilter(req.user)
+    });
+
+    res.json({ ...category.toJSON(), postCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a category
+ * @route   POST /api/categories
+ * @access  Private/Moderator
+ */
+const createCategory = async (req, res, next) => {
+  try {
+    const category = await Category.create(pickEditable(req.body));
+
+    res.status(201).json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a category
+ * @route   PUT /api/categories/:id
+ * @access  Private/Moderator
+ */
+const updateCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return sendNotFound(res);
+    }
+
+    category.set(pickEditable(req.body));
+    await category.save();
+
+    res.json(category);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a category that no longer has posts
+ * @route   DELETE /api/categories/:id
+ * @access  Private/Moderator
+ */
+const deleteCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req.params.id);
+
+    if (!category) {
+      return sendNotFound(res);
+    }
+
+    const postCount = await Post.countDocuments({ category: category._id });
+
+    if (postCount > 0) {
+      return res.status(409).json(
+        formatErrorResponse(
+          'Cannot delete a category that still has posts',
+          'CATEGORY_HAS_POSTS',
+          [`${postCount} post(s) must be moved or deleted first`]
+        )
+      );
+    }
+
+    await category.deleteOne();
+
+    res.json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
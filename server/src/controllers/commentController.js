@@ -0,0 +1,169 @@
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const { formatErrorResponse, isValidObjectId } = require('../utils/helpers');
+const { isOwner } = require('../utils/permissions');
+
+/**
+ * Load the post named in the route if the user may see it (drafts,
+ * scheduled and archived posts are hidden from everyone else)
+ * @param {object} req - Express request object
+ * @returns {Promise<object|null>} - Post document
+ */
+const findVisiblePost = async (req) => {
+  if (!isValidObjectId(req.params.id)) return null;
+
+  const post = await Post.findById(req.params.id).select('author status');
+  return post && post.isVisibleTo(req.user) ? post : null;
+};
+
+/**
+ * Load the comment named in the route, scoped to its post (for requireOwnership)
+ * Comments on a post the user can no longer see are treated as missing
+ * @param {object} req - Express request object
+ * @returns {Promise<object|null>} - Comment document
+ */
+const loadComment = async (req) => {
+  if (!isValidObjectId(req.params.commentId) || !(await findVisiblePost(req))) return null;
+
+  return Comment.findOne({ _id: req.params.commentId, post: req.params.id });
+};
+
+/**
+ * Send a 404 for an unknown post
+ * @param {object} res - Express response object
+ */
+const sendPostNotFound = (res) => {
+  return res.status(404).json(
+    formatErrorResponse('Post not found', 'POST_NOT_FOUND')
+  );
+};
+
+/**
+ * @desc    Get a post's comments as a thread of nested replies
+ * @route   GET /api/posts/:id/comments
+ * @access  Public (a token reveals comments on the user's own unpublished posts)
+ */
+const getComments = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!(await findVisiblePost(req))) {
+      return sendPostNotFound(res);
+    }
+
+    const comments = await Comment.find({ post: id })
+      .populate('author', 'name')
+      .sort({ createdAt: 1, _id: 1 });
+
+    res.json(Comment.buildThread(comments));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Comment on a post or reply to a comment
+ * @route   POST /api/posts/:id/comments
+ * @access  Private
+ */
+const createComment = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { content, parent: parentId } = req.body;
+
+    if (!(await findVisiblePost(req))) {
+      return sendPostNotFound(res);
+    }
+
+    let depth = 0;
+
+    if (parentId) {
+      const parent = isValidObjectId(parentId)
+        ? await Comment.findOne({ _id: parentId, post: id })
+        : null;
+
+      if (!parent || parent.status !== 'visible') {
+        return res.status(400).json(
+          formatErrorResponse('Cannot reply to this comment', 'INVALID_PARENT')
+        );
+      }
+
+      depth = parent.depth + 1;
+
+      if (depth > Comment.getMaxDepth()) {
+        return res.status(400).json(
+          formatErrorResponse('Replies are nested too deeply', 'MAX_DEPTH_EXCEEDED')
+        );
+      }
+    }
+
+    const comment = await Comment.create({
+      post: id,
+      author: req.user.id,
+      parent: parentId || null,
+      depth,
+      content
+    });
+
+    res.status(201).json(comment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Edit a comment (author only, within the edit window)
+ * @route   PUT /api/posts/:id/comments/:commentId
+ * @access  Private
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const comment = req.resource;
+
+    if (!comment.isEditable()) {
+      return res.status(403).json(
+        formatErrorResponse('This comment can no longer be edited', 'EDIT_WINDOW_EXPIRED')
+      );
+    }
+
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json(comment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a comment (author) or remove it (moderator)
+ * @route   DELETE /api/posts/:id/comments/:commentId
+ * @access  Private
+ */
+const deleteComment = async (req, res, next) => {
+  try {
+    const comment = req.resource;
+
+    if (comment.status !== 'visible') {
+      return res.status(404).json(
+        formatErrorResponse('Comment not found', 'COMMENT_NOT_FOUND')
+      );
+    }
+
+    comment.softDelete(req.user.id, { moderator: !isOwner(req.user, comment) });
+    await comment.save();
+
+    res.json(comment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  loadComment,
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+};
@@ -0,0 +1,242 @@
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const Reaction = require('../models/Reaction');
+const {
+  formatErrorResponse,
+  isValidObjectId,
+  getPaginationOptions,
+  normalizeTags
+} = require('../utils/helpers');
+
+// Fields an author may set on create/update
+const EDITABLE_FIELDS = ['title', 'content', 'category', 'tags', 'status', 'publishAt'];
+
+/**
+ * Pick the editable fields from a request body
+ * @param {object} body - Request body
+ * @returns {object} - Allowed fields only
+ */
+const pickEditable = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+};
+
+/**
+ * Load the post named in the route (for requireOwnership)
+ * @param {object} req - Express request object
+ * @returns {Promise<object|null>} - Post document
+ */
+const loadPost = (req) => {
+  if (!isValidObjectId(req.params.id)) return null;
+  return Post.findById(req.params.id);
+};
+
+/**
+ * Add reaction counts and the caller's own reactions to posts, with a single
+ * query however many posts there are
+ * @param {object[]} posts - Post documents
+ * @param {object} user - Authenticated user (`req.user`), if any
+ * @returns {Promise<object[]>} - Plain posts with `reactions` and `likedByMe`
+ */
+const withReactions = async (posts, user) => {
+  const summaries = await Reaction.summarize(posts.map(post => post._id), user && user.id);
+
+  return posts.map(post => {
+    const { counts, total, mine, likedByMe } = summaries.get(post._id.toString());
+    return { ...post.toJSON(), reactions: { counts, total, mine }, likedByMe };
+  });
+};
+
+/**
+ * @desc    List visible posts, newest first (total count in X-Total-Count)
+ * @route   GET /api/posts?tags=a,b&tagMatch=any|all
+ * @access  Public (authors also see their own unpublished posts)
+ */
+const getPosts = async (req, res, next) => {
+  try {
+    const { category, author, status, tags, tagMatch = 'any' } = req.query;
+    const { limit, skip } = getPaginationOptions(req.query.page, req.query.limit);
+
+    // Build query
+    const query = Post.getVisibilityFilter(req.user);
+    if (status) {
+      if (!Post.schema.path('status').enumValues.includes(status)) {
+        return res.status(400).json(
+          formatErrorResponse('Invalid status', 'INVALID_STATUS')
+        );
+      }
+      query.status = status;
+    }
+    if (category) {
+      if (!isValidObjectId(category)) {
+        return res.status(400).json(
+          formatErrorResponse('Invalid category id', 'INVALID_CATEGORY')
+        );
+      }
+      query.category = category;
+    }
+    if (author) {
+      if (!isValidObjectId(author)) {
+        return res.status(400).json(
+          formatErrorResponse('Invalid author id', 'INVALID_AUTHOR')
+        );
+      }
+      query.author = author;
+    }
+    if (tags) {
+      if (!['any', 'all'].includes(tagMatch)) {
+        return res.status(400).json(
+          formatErrorResponse('tagMatch must be "any" or "all"', 'INVALID_TAG_MATCH')
+        );
+      }
+      const tagList = normalizeTags(String(tags));
+      if (tagList.length > 0) {
+        query.tags = tagMatch === 'all' ? { $all: tagList } : { $in: tagList };
+      }
+    }
+
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .populate('author', 'name')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      Post.countDocuments(query)
+    ]);
+
+    res.set('X-Total-Count', String(total));
+    res.json(await withReactions(posts, req.user));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single post
+ * @route   GET /api/posts/:id
+ * @access  Public
+ */
+const getPost = async (req, res, next) => {
+  try {
+    const post = isValidObjectId(req.params.id)
+      ? await Post.findById(req.params.id).populate('author', 'name')
+      : null;
+
+    // Unpublished posts don't exist as far as other users are concerned
+    if (!post || !post.isVisibleTo(req.user)) {
+      return res.status(404).json(
+        formatErrorResponse('Post not found', 'POST_NOT_FOUND')
+      );
+    }
+
+    const [result] = await withReactions([post], req.user);
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a post by slug (old slugs redirect to the current one)
+ * @route   GET /api/posts/slug/:slug
+ * @access  Public
+ */
+const getPostBySlug = async (req, res, next) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const post = await Post.findOne({ slug }).populate('author', 'name');
+
+    if (post && post.isVisibleTo(req.user)) {
+      const [result] = await withReactions([post], req.user);
+      return res.json(result);
+    }
+
+    const renamed = !post && await Post.findOne({ slugHistory: slug }).select('slug author status');
+
+    if (renamed && renamed.isVisibleTo(req.user)) {
+      return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}`);
+    }
+
+    res.status(404).json(
+      formatErrorResponse('Post not found', 'POST_NOT_FOUND')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create a post
+ * @route   POST /api/posts
+ * @access  Private
+ */
+const createPost = async (req, res, next) => {
+  try {
+    const post = await Post.create({
+      ...pickEditable(req.body),
+      author: req.user.id
+    });
+    await PostRevision.record(post, req.user.id);
+
+    res.status(201).json(post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a post (author only)
+ * @route   PUT /api/posts/:id
+ * @access  Private
+ */
+const updatePost = async (req, res, next) => {
+  try {
+    const post = req.resource;
+
+    await PostRevision.ensureBaseline(post);
+
+    post.set(pickEditable(req.body));
+    const contentChanged = post.isModified('title') || post.isModified('content');
+    await post.save();
+
+    // Every saved change to the title or content becomes a revision
+    if (contentChanged) {
+      await PostRevision.record(post, req.user.id);
+    }
+
+    res.json(post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a post (author or moderator)
+ * @route   DELETE /api/posts/:id
+ * @access  Private
+ */
+const deletePost = async (req, res, next) => {
+  try {
+    await req.resource.deleteOne();
+    await Comment.deleteMany({ post: req.resource._id });
+    await PostRevision.deleteMany({ post: req.resource._id });
+    await Reaction.deleteMany({ post: req.resource._id });
+
+    res.json({ message: 'Post deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  loadPost,
+  getPosts,
+  getPost,
+  getPostBySlug,
+  createPost,
+  updatePost,
+  deletePost
+};
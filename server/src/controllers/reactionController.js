@@ -0,0 +1,110 @@
+const Post = require('../models/Post');
+const Reaction = require('../models/Reaction');
+const { formatErrorResponse, isValidObjectId } = require('../utils/helpers');
+
+/**
+ * Find the post named in the route if the user may see it
+ * @param {object} req - Express request object
+ * @returns {Promise<object|null>} - Post document
+ */
+const findVisiblePost = async (req) => {
+  if (!isValidObjectId(req.params.id)) return null;
+
+  const post = await Post.findById(req.params.id).select('author status');
+  return post && post.isVisibleTo(req.user) ? post : null;
+};
+
+/**
+ * Send a 404 for an unknown post
+ * @param {object} res - Express response object
+ */
+const sendPostNotFound = (res) => {
+  return res.status(404).json(
+    formatErrorResponse('Post not found', 'POST_NOT_FOUND')
+  );
+};
+
+/**
+ * Send a 400 for an unknown reaction type
+ * @param {object} res - Express response object
+ */
+const sendInvalidType = (res) => {
+  return res.status(400).json(
+    formatErrorResponse(
+      'Invalid reaction type',
+      'INVALID_REACTION',
+      [`Reaction must be one of: ${Reaction.TYPES.join(', ')}`]
+    )
+  );
+};
+
+/**
+ * Send the reaction summary of a post
+ * @param {object} req - Express request object
+ * @param {object} res - Express response object
+ * @param {object} post - Post document
+ */
+const sendSummary = async (req, res, post) => {
+  const summaries = await Reaction.summarize([post._id], req.user && req.user.id);
+  res.json(summaries.get(post._id.toString()));
+};
+
+/**
+ * @desc    Get the reaction counts of a post
+ * @route   GET /api/posts/:id/reactions
+ * @access  Public
+ */
+const getReactions = async (req, res, next) => {
+  try {
+    const post = await findVisiblePost(req);
+    if (!post) return sendPostNotFound(res);
+
+    await sendSummary(req, res, post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    React to a post (idempotent)
+ * @route   PUT /api/posts/:id/reactions/:type
+ * @access  Private
+ */
+const addReaction = async (req, res, next) => {
+  try {
+    if (!Reaction.TYPES.includes(req.params.type)) return sendInvalidType(res);
+
+    const post = await findVisiblePost(req);
+    if (!post) return sendPostNotFound(res);
+
+    await Reaction.add(post._id, req.user.id, req.params.type);
+    await sendSummary(req, res, post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Take back a reaction (idempotent)
+ * @route   DELETE /api/posts/:id/reactions/:type
+ * @access  Private
+ */
+const removeReaction = async (req, res, next) => {
+  try {
+    if (!Reaction.TYPES.includes(req.params.type)) return sendInvalidType(res);
+
+    const post = await findVisiblePost(req);
+    if (!post) return sendPostNotFound(res);
+
+    await Reaction.deleteOne({ post: post._id, user: req.user.id, type: req.params.type });
+    await sendSummary(req, res, post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getReactions,
+  addReaction,
+  removeReaction
+};
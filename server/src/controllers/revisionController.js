@@ -0,0 +1,172 @@
+const PostRevision = require('../models/PostRevision');
+const { formatErrorResponse } = require('../utils/helpers');
+const { diffLines, summarizeDiff, getMaxDiffEdits } = require('../utils/diff');
+
+// Stands in for the missing revision before the first one
+const EMPTY_REVISION = { number: 0, title: '', content: '' };
+
+/**
+ * Parse a revision number
+ * @param {string} value - Route or query value
+ * @returns {number|null} - Positive integer, or null when invalid
+ */
+const parseRevisionNumber = (value) => {
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Send a 404 for an unknown revision
+ * @param {object} res - Express response object
+ */
+const sendRevisionNotFound = (res) => {
+  return res.status(404).json(
+    formatErrorResponse('Revision not found', 'REVISION_NOT_FOUND')
+  );
+};
+
+/**
+ * Find a revision of a post by number
+ * @param {object} post - Post document
+ * @param {string} value - Revision number as given in the request
+ * @returns {Promise<object|null>} - Revision document
+ */
+const findRevision = (post, value) => {
+  const number = parseRevisionNumber(value);
+  if (!number) return null;
+
+  return PostRevision.findOne({ post: post._id, number }).populate('editor', 'name');
+};
+
+/**
+ * @desc    List a post's revisions, newest first (without content)
+ * @route   GET /api/posts/:id/revisions
+ * @access  Private (author or moderator)
+ */
+const getRevisions = async (req, res, next) => {
+  try {
+    const revisions = await PostRevision.find({ post: req.resource._id })
+      .select('-content')
+      .populate('editor', 'name')
+      .sort({ number: -1 });
+
+    res.json(revisions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single revision
+ * @route   GET /api/posts/:id/revisions/:number
+ * @access  Private (author or moderator)
+ */
+const getRevision = async (req, res, next) => {
+  try {
+    const revision = await findRevision(req.resource, req.params.number);
+
+    if (!revision) {
+      return sendRevisionNotFound(res);
+    }
+
+    res.json(revision);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Line diff between two revisions (defaults: latest vs the one before,
+ *          or vs an empty post when it is the first revision)
+ * @route   GET /api/posts/:id/revisions/diff?from=1&to=2
+ * @access  Private (author or moderator)
+ */
+const diffRevisions = async (req, res, next) => {
+  try {
+    const post = req.resource;
+    let { from, to } = req.query;
+
+    if (to === undefined) {
+      const latest = await PostRevision.findOne({ post: post._id }).sort({ number: -1 }).select('number');
+      if (!latest) return sendRevisionNotFound(res);
+      to = latest.number;
+    }
+    // Only the default can point before the first revision
+    const fromEmpty = from === undefined && Number(to) === 1;
+    if (from === undefined) {
+      from = Number(to) - 1;
+    }
+
+    if ((!fromEmpty && !parseRevisionNumber(from)) || !parseRevisionNumber(to)) {
+      return res.status(400).json(
+        formatErrorResponse('Revision numbers must be positive integers', 'INVALID_REVISION')
+      );
+    }
+
+    const [older, newer] = await Promise.all([
+      fromEmpty ? EMPTY_REVISION : findRevision(post, from),
+      findRevision(post, to)
+    ]);
+
+    if (!older || !newer) {
+      return sendRevisionNotFound(res);
+    }
+
+    const changes = diffLines(older.content, newer.content);
+
+    if (!changes) {
+      return res.status(422).json(
+        formatErrorResponse(
+          'Revisions are too different to diff',
+          'DIFF_TOO_LARGE',
+          [`More than ${getMaxDiffEdits()} lines changed`]
+        )
+      );
+    }
+
+    res.json({
+      from: older.number,
+      to: newer.number,
+      title: older.title === newer.title ? null : { from: older.title, to: newer.title },
+      stats: summarizeDiff(changes),
+      changes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Restore an old revision (recorded as a new revision)
+ * @route   POST /api/posts/:id/revisions/:number/restore
+ * @access  Private (author only)
+ */
+const restoreRevision = async (req, res, next) => {
+  try {
+    const post = req.resource;
+    const revision = await findRevision(post, req.params.number);
+
+    if (!revision) {
+      return sendRevisionNotFound(res);
+    }
+
+    post.title = revision.title;
+    post.content = revision.content;
+
+    if (post.isModified('title') || post.isModified('content')) {
+      await post.save();
+      await PostRevision.record(post, req.user.id, { restoredFrom: revision.number });
+    }
+
+    res.json(post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+};
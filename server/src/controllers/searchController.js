@@ -0,0 +1,71 @@
+const { SEARCH_TYPES, toTextSearch, searchPosts, searchUsers } = require('../utils/search');
+const { hasPermission } = require('../utils/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { formatErrorResponse, formatSuccessResponse, getPaginationOptions } = require('../utils/helpers');
+
+/**
+ * @desc    Search posts and users, best matches first
+ * @route   GET /api/search?q=&type=posts|users|all
+ * @access  Public (users require users:read)
+ */
+const search = async (req, res, next) => {
+  try {
+    const { q, type = 'all', page, limit } = req.query;
+
+    if (typeof q !== 'string' || !toTextSearch(q.trim())) {
+      return res.status(400).json(
+        formatErrorResponse('Search query is required', 'MISSING_QUERY')
+      );
+    }
+
+    if (type !== 'all' && !SEARCH_TYPES.includes(type)) {
+      return res.status(400).json(
+        formatErrorResponse(
+          'Invalid search type',
+          'INVALID_SEARCH_TYPE',
+          [`Type must be one of: all, ${SEARCH_TYPES.join(', ')}`]
+        )
+      );
+    }
+
+    const canSearchUsers = Boolean(req.user) && hasPermission(req.user.role, PERMISSIONS.USERS_READ);
+
+    // Asking for users explicitly is an error; "all" just leaves them out
+    if (type === 'users' && !canSearchUsers) {
+      return res.status(req.user ? 403 : 401).json(
+        formatErrorResponse(
+          'Insufficient permissions',
+          req.user ? 'INSUFFICIENT_PERMISSIONS' : 'NOT_AUTHENTICATED'
+        )
+      );
+    }
+
+    const query = q.trim();
+    const pagination = getPaginationOptions(page, limit);
+    const results = {};
+
+    if (type === 'all' || type === 'posts') {
+      results.posts = await searchPosts(query, req.user, pagination);
+    }
+    if (type === 'users' || (type === 'all' && canSearchUsers)) {
+      results.users = await searchUsers(query, pagination);
+    }
+
+    res.json(
+      formatSuccessResponse(
+        {
+          query,
+          results,
+          pagination: { page: pagination.page, limit: pagination.limit }
+        },
+        'Search completed successfully'
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  search
+};
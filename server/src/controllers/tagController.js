@@ -0,0 +1,55 @@
+const Post = require('../models/Post');
+const { formatErrorResponse, normalizeTag, normalizeTags } = require('../utils/helpers');
+
+/**
+ * @desc    List tags with the number of (visible) posts using them
+ * @route   GET /api/tags
+ * @access  Public
+ */
+const getTags = async (req, res, next) => {
+  try {
+    const tags = await Post.getTagCounts(req.user);
+
+    res.json(tags);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Merge tags into another one on every post
+ * @route   POST /api/tags/merge
+ * @access  Private/Admin
+ */
+const mergeTags = async (req, res, next) => {
+  try {
+    const from = normalizeTags(req.body.from);
+    const into = normalizeTag(req.body.into);
+
+    if (!into || from.filter(tag => tag !== into).length === 0) {
+      return res.status(400).json(
+        formatErrorResponse(
+          'Invalid tag merge',
+          'INVALID_TAGS',
+          ['Provide "from" (tags to merge) and a different "into" tag']
+        )
+      );
+    }
+
+    const modifiedCount = await Post.mergeTags(from, into);
+
+    res.json({
+      message: 'Tags merged successfully',
+      from: from.filter(tag => tag !== into),
+      into,
+      modifiedCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTags,
+  mergeTags
+};
@@ -0,0 +1,198 @@
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const { formatErrorResponse, formatSuccessResponse } = require('../utils/helpers');
+const { generateSecret, buildOtpauthUri } = require('../utils/totp');
+const logger = require('../utils/logger');
+
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+/**
+ * @desc    Start 2FA enrollment (returns a secret and provisioning URI)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json(
+        formatErrorResponse('User not found', 'USER_NOT_FOUND')
+      );
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json(
+        formatErrorResponse('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED')
+      );
+    }
+
+    // Nothing changes for the user until the secret is confirmed
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json(
+      formatSuccessResponse(
+        {
+          secret,
+          otpauthUrl: buildOtpauthUri(secret, user.email)
+        },
+        'Scan the code with your authenticator app and confirm with a code'
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm 2FA enrollment with a first code
+ * @route   POST /api/auth/2fa/confirm
+ * @access  Private
+ */
+const confirmTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json(
+        formatErrorResponse('User not found', 'USER_NOT_FOUND')
+      );
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json(
+        formatErrorResponse('Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED')
+      );
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json(
+        formatErrorResponse('Two-factor setup has not been started', 'TWO_FACTOR_NOT_PENDING')
+      );
+    }
+
+    if (!user.verifyTwoFactorCode(String(code), { pending: true })) {
+      return res.status(400).json(
+        formatErrorResponse('Invalid verification code', 'INVALID_TWO_FACTOR_CODE')
+      );
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.logAuth('two_factor_enabled', user);
+    await AuditEvent.record(req, { action: 'two_factor_enabled', actor: user._id, target: user._id });
+
+    res.json(
+      formatSuccessResponse(
+        { recoveryCodes },
+        'Two-factor authentication enabled. Store your recovery codes somewhere safe'
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Disable 2FA (requires password and a current code)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.id).select(`+password ${TWO_FACTOR_FIELDS}`);
+
+    if (!user) {
+      return res.status(404).json(
+        formatErrorResponse('User not found', 'USER_NOT_FOUND')
+      );
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json(
+        formatErrorResponse('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED')
+      );
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return res.status(400).json(
+        formatErrorResponse('Current password is incorrect', 'INCORRECT_PASSWORD')
+      );
+    }
+
+    if (!user.verifySecondFactor(req.body)) {
+      return res.status(400).json(
+        formatErrorResponse('Invalid verification code', 'INVALID_TWO_FACTOR_CODE')
+      );
+    }
+
+    user.disableTwoFactor();
+    await user.save({ validateBeforeSave: false });
+
+    logger.logAuth('two_factor_disabled', user);
+    await AuditEvent.record(req, { action: 'two_factor_disabled', actor: user._id, target: user._id });
+
+    res.json(
+      formatSuccessResponse(user.toJSON(), 'Two-factor authentication disabled')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace the recovery codes (requires a current code)
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user) {
+      return res.status(404).json(
+        formatErrorResponse('User not found', 'USER_NOT_FOUND')
+      );
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json(
+        formatErrorResponse('Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED')
+      );
+    }
+
+    if (!user.verifyTwoFactorCode(String(code))) {
+      return res.status(400).json(
+        formatErrorResponse('Invalid verification code', 'INVALID_TWO_FACTOR_CODE')
+      );
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json(
+      formatSuccessResponse({ recoveryCodes }, 'Recovery codes regenerated')
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
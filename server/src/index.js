@@ -1,11 +1,19 @@
 require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/database');
+const { startPostScheduler } = require('./utils/scheduler');
+const { checkMailConfig } = require('./utils/mailer');
+
+// Refuse to start in production without a transport that really delivers mail
+checkMailConfig();
 
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then start publishing scheduled posts
+connectDB().then(() => {
+  const stopScheduler = startPostScheduler();
+  server.on('close', stopScheduler);
+});
 
 // Start server
 const server = app.listen(PORT, () => {
@@ -1,28 +1,113 @@
-const jwt = require('jsonwebtoken');
 const { formatErrorResponse } = require('../utils/helpers');
+const { verifyToken, getEmailVerificationPolicy } = require('../utils/auth');
+const { hasPermission, canModify } = require('../utils/permissions');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+const logger = require('../utils/logger');
 
 /**
  * Authentication middleware
- * Verifies JWT token and adds user to request object
+ * Verifies JWT token, rejects revoked tokens and adds user to request object
+ * (req.user is the token payload, req.currentUser the loaded document)
  */
 const authenticate = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+
+  if (!token) {
+    return res.status(401).json(
+      formatErrorResponse('Access denied. No token provided.', 'NO_TOKEN')
+    );
+  }
+
+  let decoded;
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
+    decoded = verifyToken(token);
+  } catch (error) {
+    // Let clients know when to use their refresh token
+    if (error.name === 'TokenExpiredError') {
       return res.status(401).json(
-        formatErrorResponse('Access denied. No token provided.', 'NO_TOKEN')
+        formatErrorResponse('Token expired.', 'TOKEN_EXPIRED')
       );
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'test-secret');
-    req.user = decoded;
-    next();
-  } catch (error) {
     return res.status(401).json(
       formatErrorResponse('Invalid token.', 'INVALID_TOKEN')
     );
   }
+
+  try {
+    if (await RevokedToken.isRevoked(decoded.jti)) {
+      return res.status(401).json(
+        formatErrorResponse('Token has been revoked.', 'TOKEN_REVOKED')
+      );
+    }
+
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(401).json(
+        formatErrorResponse('Invalid token.', 'INVALID_TOKEN')
+      );
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json(
+        formatErrorResponse('This account has been disabled.', 'ACCOUNT_DISABLED')
+      );
+    }
+
+    if ((decoded.ver || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json(
+        formatErrorResponse('Token has been revoked.', 'TOKEN_REVOKED')
+      );
+    }
+
+    if (getEmailVerificationPolicy() === 'block' && !user.emailVerified) {
+      return res.status(403).json(
+        formatErrorResponse('Please verify your email address.', 'EMAIL_NOT_VERIFIED')
+      );
+    }
+
+    // Use the stored role so role changes apply to tokens already issued
+    req.user = { ...decoded, role: user.role };
+    req.currentUser = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Email verification middleware
+ * Blocks unverified accounts unless the verification policy is 'off'
+ * (must run after authenticate)
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (getEmailVerificationPolicy() === 'off') {
+    return next();
+  }
+
+  if (!req.currentUser || !req.currentUser.emailVerified) {
+    return res.status(403).json(
+      formatErrorResponse('Please verify your email address.', 'EMAIL_NOT_VERIFIED')
+    );
+  }
+
+  next();
+};
+
+/**
+ * Optional authentication middleware
+ * Anonymous requests pass through without req.user; requests that send a
+ * token are authenticated as usual, so a bad token is still rejected
+ */
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.header('Authorization')) {
+    return next();
+  }
+
+  return authenticate(req, res, next);
 };
 
 /**
@@ -47,6 +132,80 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Permission middleware
+ * Requires the user's role to grant every listed permission
+ * @param {...string} permissions - Permissions such as `users:read`
+ */
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json(
+        formatErrorResponse('Access denied. User not authenticated.', 'NOT_AUTHENTICATED')
+      );
+    }
+
+    if (!permissions.every(permission => hasPermission(req.user.role, permission))) {
+      return res.status(403).json(
+        formatErrorResponse('Access denied. Insufficient permissions.', 'INSUFFICIENT_PERMISSIONS')
+      );
+    }
+
+    next();
+  };
+};
+
+/**
+ * Ownership middleware
+ * Loads a resource and only lets its owner through, unless the user's role
+ * grants the overriding permission. The resource is stored on req.resource
+ * @param {Function} loadResource - async (req) => document or null
+ * @param {object} options - { permission, ownerField = 'author' }
+ */
+const requireOwnership = (loadResource, { permission, ownerField = 'author' } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const resource = await loadResource(req);
+
+      if (!resource) {
+        return res.status(404).json(
+          formatErrorResponse('Resource not found', 'NOT_FOUND')
+        );
+      }
+
+      if (!canModify(req.user, resource, permission, ownerField)) {
+        return res.status(403).json(
+          formatErrorResponse('Access denied. You do not own this resource.', 'NOT_RESOURCE_OWNER')
+        );
+      }
+
+      req.resource = resource;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+/**
+ * Two-factor middleware
+ * Requires 2FA to be enabled on the account when REQUIRE_ADMIN_2FA is 'true'
+ * (used on admin routes, must run after authenticate)
+ */
+const requireTwoFactor = (req, res, next) => {
+  if (process.env.REQUIRE_ADMIN_2FA !== 'true') {
+    return next();
+  }
+
+  if (!req.currentUser || !req.currentUser.twoFactorEnabled) {
+    return res.status(403).json(
+      formatErrorResponse('Two-factor authentication must be enabled for this action.', 'TWO_FACTOR_REQUIRED')
+    );
+  }
+
+  next();
+};
+
 /**
  * Request logging middleware
  */
@@ -115,60 +274,142 @@ const errorHandler = (err, req, res, next) => {
   );
 };
 
+// Request parts a validation schema can describe
+const VALIDATED_PARTS = ['params', 'query', 'body'];
+
+// Joi errors that only mean a required value was not sent
+const MISSING_VALUE_ERRORS = ['any.required', 'string.empty', 'object.missing'];
+
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  stripUnknown: true,
+  errors: { wrap: { label: false } }
+};
+
 /**
  * Input validation middleware
+ * Takes a Joi schema for the body, or an object with a schema per request part
+ * ({ body, params, query }, see schemas/auth). Validated values replace the
+ * originals, so unknown fields are stripped and values converted. Errors list
+ * one message per field; `missing` ({ message, code }) replaces the generic
+ * VALIDATION_ERROR when the only problem is that required values were not sent,
+ * and `invalid` replaces it for every other failure
  */
 const validateInput = (schema) => {
+  const schemas = typeof schema.validate === 'function' ? { body: schema } : schema;
+
   return (req, res, next) => {
-    const { error } = schema.validate(req.body, { abortEarly: false });
-    
-    if (error) {
-      const errors = error.details.map(detail => detail.message);
+    const details = [];
+    const values = {};
+
+    VALIDATED_PARTS.forEach(part => {
+      if (!schemas[part]) return;
+
+      const { error, value } = schemas[part].validate(req[part] || {}, VALIDATION_OPTIONS);
+      if (error) {
+        // Errors about the whole object have no path
+        details.push(...error.details.map(({ type, message, path }) => ({
+          type,
+          message,
+          field: path && path.length > 0 ? `${part}.${path.join('.')}` : message
+        })));
+      } else if (value !== undefined) {
+        values[part] = value;
+      }
+    });
+
+    if (details.length > 0) {
+      const onlyMissing = Boolean(schemas.missing) &&
+        details.every(detail => MISSING_VALUE_ERRORS.includes(detail.type));
+      const { message, code } = onlyMissing
+        ? schemas.missing
+        : schemas.invalid || { message: 'Validation failed', code: 'VALIDATION_ERROR' };
+
+      // First error for each field
+      const fields = new Map();
+      details.forEach(({ field, message: text }) => {
+        if (!fields.has(field)) fields.set(field, text);
+      });
+
       return res.status(400).json(
-        formatErrorResponse('Validation failed', 'VALIDATION_ERROR', errors)
+        formatErrorResponse(message, code, [...fields.values()])
       );
     }
-    
+
+    Object.assign(req, values);
     next();
   };
 };
 
+let limiterCount = 0;
+
 /**
- * Rate limiting middleware (simple in-memory implementation)
+ * Rate limiting middleware (sliding window, see utils/rateLimitStore)
+ * Accepts a policy (see config/rateLimits) or the legacy (windowMs, max)
+ * pair. Limiters share the configured store unless given their own, keyed
+ * by policy name so routes are counted separately. Sets the RateLimit-*
+ * headers on every response and Retry-After when rejecting. If the store
+ * fails the request is let through rather than taking the API down
+ * @param {object|number} policy - { name, windowMs, max, keyBy, store, skip } or windowMs
+ * @param {number} legacyMax - Max requests when policy is a window length
  */
-const rateLimit = (windowMs = 15 * 60 * 1000, max = 100) => {
-  const requests = new Map();
-  
-  return (req, res, next) => {
-    const key = req.ip || req.connection.remoteAddress;
-    const now = Date.now();
-    
-    if (!requests.has(key)) {
-      requests.set(key, { count: 1, resetTime: now + windowMs });
-      return next();
-    }
-    
-    const requestData = requests.get(key);
-    
-    if (now > requestData.resetTime) {
-      requests.set(key, { count: 1, resetTime: now + windowMs });
+const rateLimit = (policy = {}, legacyMax) => {
+  const {
+    name = `limiter-${++limiterCount}`,
+    windowMs = 15 * 60 * 1000,
+    max = 100,
+    keyBy = 'ip',
+    store,
+    skip
+  } = typeof policy === 'number' ? { windowMs: policy, max: legacyMax } : policy;
+
+  return async (req, res, next) => {
+    if (skip && skip(req)) return next();
+
+    const ip = req.ip || req.connection.remoteAddress;
+    const identity = keyBy === 'user' && req.user ? `user:${req.user.id}` : `ip:${ip}`;
+    const limit = typeof max === 'function' ? max(req) : max;
+
+    let result;
+    try {
+      result = await (store || getRateLimitStore()).hit(`${name}:${identity}`, {
+        windowMs,
+        max: limit,
+        now: Date.now()
+      });
+    } catch (error) {
+      logger.error(`Rate limit store failed: ${error.message}`);
       return next();
     }
-    
-    if (requestData.count >= max) {
+
+    const resetSeconds = Math.ceil(result.resetMs / 1000);
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(limit - result.count, 0)),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`
+    });
+
+    if (!result.allowed) {
+      logger.logSecurity('Rate Limit Exceeded', { policy: name, key: identity, ip });
+      res.set('Retry-After', String(resetSeconds));
       return res.status(429).json(
         formatErrorResponse('Too many requests', 'RATE_LIMIT_EXCEEDED')
       );
     }
-    
-    requestData.count++;
+
     next();
   };
 };
 
 module.exports = {
   authenticate,
+  optionalAuthenticate,
   authorize,
+  requirePermission,
+  requireOwnership,
+  requireVerifiedEmail,
+  requireTwoFactor,
   requestLogger,
   errorHandler,
   validateInput,
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+
+const AUDIT_ACTIONS = [
+  'login',
+  'login_failed',
+  'logout_all',
+  'password_changed',
+  'password_reset',
+  'role_changed',
+  'user_deleted',
+  'account_unlocked',
+  'account_deactivated',
+  'account_reactivated',
+  'two_factor_enabled',
+  'two_factor_disabled'
+];
+
+// Persistent record of a security-relevant action
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true
+  },
+  // Who performed the action (unset for anonymous attempts)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Account the action was performed on
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+  ip: String,
+  userAgent: String,
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ target: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+
+// Static method to record an event. Never throws: failing to audit must not
+// fail the request that is being audited
+auditEventSchema.statics.record = async function(req, { action, actor, target, success = true, details = {} }) {
+  try {
+    return await this.create({
+      action,
+      actor,
+      target,
+      success,
+      details,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined
+    });
+  } catch (error) {
+    logger.error(`Failed to record audit event ${action}: ${error.message}`);
+    return null;
+  }
+};
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+AuditEvent.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = AuditEvent;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { slugify } = require('../utils/helpers');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Keep the slug in step with the name unless one was given explicitly
+categorySchema.pre('validate', function(next) {
+  if (this.name && (!this.slug || (this.isModified('name') && !this.isModified('slug')))) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+// Static method returning the number of posts per category id, counting
+// only the posts the user (req.user, if any) may see
+categorySchema.statics.countPosts = async function(categoryIds, user) {
+  const Post = require('./Post');
+
+  const counts = await Post.aggregate([
+    { $match: { category: { $in: categoryIds }, ...Post.getVisibilityFilter(user) } },
+    { $group: { _id: '$category', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+module.exports = mongoose.model('Category', categorySchema);
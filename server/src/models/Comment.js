@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Comment being replied to (null for top-level comments)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+    trim: true,
+    maxlength: [5000, 'Comment cannot exceed 5000 characters']
+  },
+  // visible, deleted by its author, or removed by a moderator
+  status: {
+    type: String,
+    enum: ['visible', 'deleted', 'removed'],
+    default: 'visible'
+  },
+  editedAt: Date,
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ post: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+
+// Static method returning the edit window in ms (COMMENT_EDIT_WINDOW_MINUTES, default 15)
+commentSchema.statics.getEditWindow = function() {
+  return (parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+};
+
+// Static method returning the deepest reply level (COMMENT_MAX_DEPTH, default 5)
+commentSchema.statics.getMaxDepth = function() {
+  return parseInt(process.env.COMMENT_MAX_DEPTH) || 5;
+};
+
+// Instance method to check whether the author may still edit the comment
+commentSchema.methods.isEditable = function(now = Date.now()) {
+  return this.status === 'visible' &&
+    now - this.createdAt.getTime() <= this.constructor.getEditWindow();
+};
+
+// Instance method to soft delete the comment. The document stays so replies
+// keep their place in the thread (does not save)
+commentSchema.methods.softDelete = function(userId, { moderator = false } = {}) {
+  this.status = moderator ? 'removed' : 'deleted';
+  this.deletedAt = new Date();
+  this.deletedBy = userId;
+};
+
+// Static method to arrange a post's comments into a tree of nested replies
+commentSchema.statics.buildThread = function(comments) {
+  const nodes = new Map(
+    comments.map(comment => [comment._id.toString(), { ...comment.toJSON(), replies: [] }])
+  );
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+
+    if (parent) {
+      parent.replies.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Hide what was said (and by whom) once a comment is gone
+commentSchema.methods.toJSON = function() {
+  const comment = this.toObject();
+
+  if (comment.status !== 'visible') {
+    comment.content = null;
+    comment.author = null;
+  }
+  delete comment.deletedBy;
+  return comment;
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
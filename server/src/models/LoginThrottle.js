@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Attempt counter for one email and flow (see utils/loginThrottle). Keyed by
+// a hash so addresses of accounts that don't exist are never stored
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // No further attempts are evaluated before this moment
+  nextAttemptAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Counters are forgotten once the key has been quiet long enough
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to get how long (ms) until the key may be tried again
+loginThrottleSchema.statics.getRetryAfter = async function(key) {
+  const throttle = await this.findOne({ key }).select('nextAttemptAt').lean();
+
+  if (!throttle || !throttle.nextAttemptAt) return 0;
+  return Math.max(throttle.nextAttemptAt.getTime() - Date.now(), 0);
+};
+
+// Static method to count an attempt and delay the next one by
+// getDelay(attempts) ms. Returns that delay
+loginThrottleSchema.statics.registerAttempt = async function(key, { getDelay, resetMs }) {
+  const now = Date.now();
+
+  // Increment atomically so parallel attempts are all counted
+  const { attempts } = await this.findOneAndUpdate(
+    { key },
+    { $inc: { attempts: 1 }, $set: { expiresAt: new Date(now + resetMs) } },
+    { upsert: true, new: true, lean: true }
+  );
+
+  const delay = getDelay(attempts);
+  if (delay > 0) {
+    await this.updateOne(
+      { key },
+      {
+        $max: {
+          nextAttemptAt: new Date(now + delay),
+          expiresAt: new Date(now + delay + resetMs)
+        }
+      }
+    );
+  }
+  return delay;
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const { slugify, escapeRegex, normalizeTags } = require('../utils/helpers');
+const { hasPermission, isOwner } = require('../utils/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { RENDERER_VERSION, renderMarkdown } = require('../utils/markdown');
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+const postSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Markdown source
+  content: {
+    type: String,
+    required: [true, 'Content is required'],
+    maxlength: [100000, 'Content cannot exceed 100000 characters']
+  },
+  // Sanitized HTML rendered from the content, cached on save
+  contentHtml: {
+    type: String
+  },
+  // Renderer version the cached HTML was produced with
+  contentHtmlVersion: {
+    type: Number
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Previous slugs, kept so old links can redirect to the current one
+  slugHistory: {
+    type: [String],
+    default: []
+  },
+  // Free-form tags, normalized on assignment (see normalizeTag)
+  tags: {
+    type: [String],
+    default: [],
+    set: normalizeTags,
+    validate: [
+      {
+        validator: tags => tags.length <= MAX_TAGS,
+        message: `A post cannot have more than ${MAX_TAGS} tags`
+      },
+      {
+        validator: tags => tags.every(tag => tag.length <= MAX_TAG_LENGTH),
+        message: `Tags cannot exceed ${MAX_TAG_LENGTH} characters`
+      }
+    ]
+  },
+  // Lifecycle: only published posts are visible to everyone
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published', 'archived'],
+    default: 'published'
+  },
+  // When a scheduled post goes live (see utils/scheduler)
+  publishAt: {
+    type: Date
+  },
+  publishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+postSchema.index({ category: 1, createdAt: -1 });
+postSchema.index({ author: 1, createdAt: -1 });
+postSchema.index({ slugHistory: 1 });
+postSchema.index({ status: 1, createdAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ tags: 1, createdAt: -1 });
+// Full-text search (see utils/search), title matches rank higher
+postSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 5, content: 1 }, name: 'post_text' }
+);
+
+// Static method to build a slug for a title that no other post uses, now or
+// in its history. Collisions get the lowest free numeric suffix (-2, -3, ...)
+postSchema.statics.generateUniqueSlug = async function(title, excludeId) {
+  const base = slugify(title) || 'post';
+  const pattern = new RegExp(`^${escapeRegex(base)}(-\\d+)?$`);
+
+  const query = { $or: [{ slug: pattern }, { slugHistory: pattern }] };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const posts = await this.find(query).select('slug slugHistory').lean();
+  const taken = new Set(posts.flatMap(post => [post.slug, ...(post.slugHistory || [])]));
+
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+};
+
+// Generate the slug on create, and again when the title changes (the old slug
+// moves to the history). An explicitly given slug is kept as is
+postSchema.pre('validate', async function() {
+  if (!this.title) return;
+
+  if (this.isNew) {
+    if (!this.slug) {
+      this.slug = await this.constructor.generateUniqueSlug(this.title);
+    }
+    return;
+  }
+
+  if (!this.isModified('title') || this.isModified('slug')) return;
+
+  const previous = this.slug;
+  const slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+  if (slug === previous) return;
+
+  this.slug = slug;
+  this.slugHistory = [
+    ...this.slugHistory.filter(old => old !== slug && old !== previous),
+    previous
+  ].filter(Boolean);
+});
+
+// Scheduled posts need a future publishAt; published posts get a publishedAt
+postSchema.pre('validate', function(next) {
+  if (this.status === 'scheduled' && (this.isModified('status') || this.isModified('publishAt'))) {
+    if (!this.publishAt) {
+      this.invalidate('publishAt', 'publishAt is required for scheduled posts');
+    } else if (this.publishAt.getTime() <= Date.now()) {
+      this.invalidate('publishAt', 'publishAt must be in the future');
+    }
+  }
+
+  if (this.status === 'published' && !this.publishedAt) {
+    this.publishedAt = new Date();
+  }
+  next();
+});
+
+// Render the Markdown when the content changes or the cache is outdated
+postSchema.pre('save', function(next) {
+  if (this.isModified('content') || this.contentHtmlVersion !== RENDERER_VERSION) {
+    this.renderContent();
+  }
+  next();
+});
+
+// Instance method to refresh the cached HTML (does not save)
+postSchema.methods.renderContent = function() {
+  this.contentHtml = renderMarkdown(this.content);
+  this.contentHtmlVersion = RENDERER_VERSION;
+  return this.contentHtml;
+};
+
+// Users who may see posts in every state
+const canSeeAllPosts = (user) => {
+  return Boolean(user && hasPermission(user.role, PERMISSIONS.POSTS_MODERATE));
+};
+
+// Static method building the query condition for the posts a user may see:
+// published posts plus their own in any state (moderators see everything).
+// The author id is cast here since aggregate pipelines are not cast
+postSchema.statics.getVisibilityFilter = function(user) {
+  if (canSeeAllPosts(user)) return {};
+
+  const visible = [{ status: 'published' }];
+  if (user) visible.push({ author: new mongoose.Types.ObjectId(user.id) });
+
+  return { $or: visible };
+};
+
+// Instance method to check whether a user (req.user, if any) may see the post
+postSchema.methods.isVisibleTo = function(user) {
+  return this.status === 'published' || canSeeAllPosts(user) || isOwner(user, this);
+};
+
+// Static method counting tag usage across the posts a user may see
+// Returns [{ name, count }], most used first
+postSchema.statics.getTagCounts = function(user) {
+  return this.aggregate([
+    { $match: this.getVisibilityFilter(user) },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, name: '$_id', count: 1 } }
+  ]);
+};
+
+// Static method to replace tags with another one on every post
+// Returns the number of posts changed
+postSchema.statics.mergeTags = async function(sources, target) {
+  const from = sources.filter(tag => tag !== target);
+  if (from.length === 0) return 0;
+
+  // Add the target first so posts never end up without it
+  await this.updateMany({ tags: { $in: from } }, { $addToSet: { tags: target } });
+  const result = await this.updateMany({ tags: { $in: from } }, { $pull: { tags: { $in: from } } });
+
+  return result.modifiedCount;
+};
+
+// Static method to publish every scheduled post that is due
+// Returns the number of posts published
+postSchema.statics.publishDue = async function(now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'scheduled', publishAt: { $lte: now } },
+    [{ $set: { status: 'published', publishedAt: '$publishAt' } }]
+  );
+
+  return result.modifiedCount;
+};
+
+// Transform output; posts saved before a renderer change get fresh HTML
+// until they are next saved
+postSchema.methods.toJSON = function() {
+  const post = this.toObject();
+
+  if (post.content !== undefined && post.contentHtmlVersion !== RENDERER_VERSION) {
+    post.contentHtml = renderMarkdown(post.content);
+  }
+  delete post.contentHtmlVersion;
+  return post;
+};
+
+module.exports = mongoose.model('Post', postSchema);
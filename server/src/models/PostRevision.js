@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a post's title and content, numbered per post from 1
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Who produced this version
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Set when the revision was made by restoring an older one
+  restoredFrom: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+// Static method to store the current state of a post as its next revision
+postRevisionSchema.statics.record = async function(post, editor, { restoredFrom } = {}) {
+  const latest = await this.findOne({ post: post._id }).sort({ number: -1 }).select('number');
+
+  return this.create({
+    post: post._id,
+    number: latest ? latest.number + 1 : 1,
+    title: post.title,
+    content: post.content,
+    editor,
+    restoredFrom
+  });
+};
+
+// Static method to record the current state of a post that has no revisions
+// yet (posts created before revisions were kept), so its first edit can be
+// diffed and undone
+postRevisionSchema.statics.ensureBaseline = async function(post) {
+  if (await this.exists({ post: post._id })) return;
+
+  await this.create({
+    post: post._id,
+    number: 1,
+    title: post.title,
+    content: post.content,
+    editor: post.author._id || post.author,
+    createdAt: post.updatedAt || post.createdAt
+  });
+};
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
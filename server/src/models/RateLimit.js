@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Sliding-window hit log for one rate-limit key, shared between instances
+// (see utils/rateLimitStore MongoStore)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Timestamps (ms) of the accepted hits still inside the window, oldest first
+  hits: {
+    type: [Number],
+    default: []
+  },
+  // Whether the last hit was accepted
+  allowed: {
+    type: Boolean
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// A key is dropped once its newest hit has left the window
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to record a hit atomically. Hits older than the window are
+// dropped and the new one is only kept while under the limit
+rateLimitSchema.statics.hit = async function(key, { windowMs, max, now = Date.now() }) {
+  const doc = await this.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          hits: {
+            $filter: {
+              input: { $ifNull: ['$hits', []] },
+              cond: { $gt: ['$$this', now - windowMs] }
+            }
+          }
+        }
+      },
+      { $set: { allowed: { $lt: [{ $size: '$hits' }, max] } } },
+      {
+        $set: {
+          hits: { $cond: ['$allowed', { $concatArrays: ['$hits', [now]] }, '$hits'] },
+          expiresAt: new Date(now + windowMs)
+        }
+      }
+    ],
+    { upsert: true, new: true, lean: true }
+  );
+
+  return { allowed: doc.allowed, hits: doc.hits };
+};
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad'];
+
+// One user's reaction of one type to a post; a user may leave several types
+const reactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+reactionSchema.index({ post: 1, user: 1, type: 1 }, { unique: true });
+reactionSchema.index({ user: 1 });
+
+// Static method to add a reaction; adding it again changes nothing
+reactionSchema.statics.add = async function(post, user, type) {
+  try {
+    await this.updateOne(
+      { post, user, type },
+      { $setOnInsert: { post, user, type } },
+      { upsert: true, runValidators: true }
+    );
+  } catch (error) {
+    // A concurrent identical request won the upsert
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Empty summary for a post nobody has reacted to
+ * @returns {object} - { counts, total, mine, likedByMe }
+ */
+const emptySummary = () => ({
+  counts: Object.fromEntries(REACTION_TYPES.map(type => [type, 0])),
+  total: 0,
+  mine: [],
+  likedByMe: false
+});
+
+// Static method summarizing the reactions on several posts with a single
+// aggregation. `mine` lists the types the given user (if any) has left
+// Returns a Map of post id => { counts, total, mine, likedByMe }
+reactionSchema.statics.summarize = async function(postIds, userId) {
+  const ids = postIds.map(id => new mongoose.Types.ObjectId(id));
+  const user = userId ? new mongoose.Types.ObjectId(userId) : null;
+
+  const groups = await this.aggregate([
+    { $match: { post: { $in: ids } } },
+    {
+      $group: {
+        _id: { post: '$post', type: '$type' },
+        count: { $sum: 1 },
+        mine: { $max: { $eq: ['$user', user] } }
+      }
+    }
+  ]);
+
+  const summaries = new Map(ids.map(id => [id.toString(), emptySummary()]));
+
+  groups.forEach(({ _id, count, mine }) => {
+    const summary = summaries.get(_id.post.toString());
+    summary.counts[_id.type] = count;
+    summary.total += count;
+    if (mine) summary.mine.push(_id.type);
+  });
+
+  summaries.forEach(summary => {
+    summary.mine.sort((a, b) => REACTION_TYPES.indexOf(a) - REACTION_TYPES.indexOf(b));
+    summary.likedByMe = summary.mine.includes('like');
+  });
+
+  return summaries;
+};
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+Reaction.TYPES = REACTION_TYPES;
+
+module.exports = Reaction;
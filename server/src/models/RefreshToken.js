@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { generateRefreshToken, hashToken, getRefreshTokenExpiry } = require('../utils/auth');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens produced by rotating the same login share a family
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB remove expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a new refresh token (returns the plain token once)
+refreshTokenSchema.statics.issue = async function(user, { family, ip, userAgent } = {}) {
+  const token = generateRefreshToken();
+
+  const refreshToken = await this.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: getRefreshTokenExpiry(),
+    createdByIp: ip,
+    userAgent
+  });
+
+  return { token, refreshToken };
+};
+
+// Static method to atomically consume a token so it can only be rotated once
+refreshTokenSchema.statics.consume = function(token) {
+  return this.findOneAndUpdate(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to find a token regardless of its state
+refreshTokenSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Static method to revoke every active token in a family
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+// Static method to revoke every active token belonging to a user
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+refreshTokenSchema.methods.isExpired = function() {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Denylist of access tokens (by jti) that were revoked before they expired
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Entries are only needed until the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke a decoded access token
+revokedTokenSchema.statics.revoke = async function({ jti, id, exp }) {
+  if (!jti) return;
+
+  await this.updateOne(
+    { jti },
+    { $setOnInsert: { jti, user: id, expiresAt: new Date(exp * 1000) } },
+    { upsert: true }
+  );
+};
+
+// Static method to check whether a jti has been revoked
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  if (!jti) return false;
+
+  return Boolean(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
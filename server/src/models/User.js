@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { generateToken, hashToken } = require('../utils/auth');
+const { verifyTOTP } = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -29,18 +30,76 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // bcrypt hashes of previous passwords, newest first (see setPassword)
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
   role: {
     type: String,
     enum: ['user', 'moderator', 'admin'],
     default: 'user'
   },
+  // Who last changed the role, and when
+  roleChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  roleChangedAt: {
+    type: Date
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
   lastLogin: {
     type: Date
   },
+  // Access tokens carrying another version are rejected ("log out everywhere")
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Brute-force protection (see registerFailedLogin)
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date
+  },
+  // TOTP two-factor authentication
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret awaiting confirmation with a first code
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of unused recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted time step, so a code can't be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    select: false
+  },
   resetPasswordToken: String,
   resetPasswordExpires: Date
 }, {
@@ -50,6 +109,11 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
+// Full-text search (see utils/search)
+userSchema.index(
+  { name: 'text', email: 'text' },
+  { weights: { name: 3, email: 1 }, name: 'user_text' }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -70,17 +134,48 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Instance method to generate JWT
+// Static method returning how many previous passwords are remembered
+// (PASSWORD_HISTORY_SIZE, default 5; 0 only rejects the current password)
+userSchema.statics.getPasswordHistorySize = function() {
+  const size = parseInt(process.env.PASSWORD_HISTORY_SIZE);
+  return Number.isNaN(size) ? 5 : Math.max(size, 0);
+};
+
+// Instance method to check a candidate against the current password and the
+// remembered ones (password and passwordHistory must be selected)
+userSchema.methods.isPasswordReused = async function(candidatePassword) {
+  const size = this.constructor.getPasswordHistorySize();
+  const hashes = [this.password, ...(this.passwordHistory || []).slice(0, size)].filter(Boolean);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(candidatePassword, hash)) return true;
+  }
+  return false;
+};
+
+// Instance method to replace the password, remembering the old hash
+// (does not save; password and passwordHistory must be selected)
+userSchema.methods.setPassword = function(newPassword) {
+  const size = this.constructor.getPasswordHistorySize();
+
+  if (this.password && !this.isModified('password')) {
+    this.passwordHistory = [this.password, ...(this.passwordHistory || [])].slice(0, size);
+  }
+  this.password = newPassword;
+};
+
+// Instance method to generate a short-lived access token
 userSchema.methods.generateAuthToken = function() {
-  const payload = {
-    id: this._id,
-    email: this.email,
-    role: this.role
-  };
-
-  return jwt.sign(payload, process.env.JWT_SECRET || 'fallback-secret', {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
+  return generateToken(this);
+};
+
+// Instance method to invalidate every token issued so far
+userSchema.methods.revokeAllTokens = async function() {
+  const RefreshToken = require('./RefreshToken');
+
+  this.tokenVersion = (this.tokenVersion || 0) + 1;
+  await this.save();
+  await RefreshToken.revokeAllForUser(this._id);
 };
 
 // Instance method to generate password reset token
@@ -89,10 +184,7 @@ userSchema.methods.generatePasswordResetToken = function() {
   const resetToken = crypto.randomBytes(20).toString('hex');
 
   // Hash token and set to resetPasswordToken field
-  this.resetPasswordToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
+  this.resetPasswordToken = hashToken(resetToken);
 
   // Set expire time (10 minutes)
   this.resetPasswordExpires = Date.now() + 10 * 60 * 1000;
@@ -100,28 +192,189 @@ userSchema.methods.generatePasswordResetToken = function() {
   return resetToken;
 };
 
+// Instance method to check whether the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Instance method to record a failed login, locking the account when the
+// limit is reached. Each consecutive lockout doubles in length (capped at 24h)
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+  // Increment atomically so parallel attempts are all counted
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+  if (this.failedLoginAttempts < maxAttempts) return;
+
+  const duration = Math.min(
+    lockoutMinutes * 60 * 1000 * Math.pow(2, this.lockoutCount || 0),
+    24 * 60 * 60 * 1000
+  );
+
+  this.lockoutCount = (this.lockoutCount || 0) + 1;
+  this.lockUntil = new Date(Date.now() + duration);
+  this.failedLoginAttempts = 0;
+  await this.save({ validateBeforeSave: false });
+};
+
+// Instance method to clear failed login tracking (does not save)
+userSchema.methods.clearFailedLogins = function() {
+  this.failedLoginAttempts = 0;
+  this.lockoutCount = 0;
+  this.lockUntil = undefined;
+};
+
+// Instance method to check a TOTP code against the active (or pending) secret
+// Records the accepted step; the caller is expected to save the user
+userSchema.methods.verifyTwoFactorCode = function(code, { pending = false } = {}) {
+  const secret = pending ? this.twoFactorPendingSecret : this.twoFactorSecret;
+  const step = verifyTOTP(secret, code, {
+    afterStep: this.twoFactorLastUsedStep ?? -1
+  });
+
+  if (step === null) return false;
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Instance method to replace the recovery codes (returns the plain codes once)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const crypto = require('crypto');
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactorRecoveryCodes = codes.map(hashToken);
+  return codes;
+};
+
+// Instance method to consume a recovery code; the caller is expected to save
+userSchema.methods.useRecoveryCode = function(code) {
+  if (!code || typeof code !== 'string') return false;
+
+  const index = (this.twoFactorRecoveryCodes || []).indexOf(hashToken(code.trim().toLowerCase()));
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Instance method to check a second factor given as a TOTP code or a recovery code
+userSchema.methods.verifySecondFactor = function({ code, recoveryCode } = {}) {
+  if (code) return this.verifyTwoFactorCode(String(code));
+  if (recoveryCode) return this.useRecoveryCode(String(recoveryCode));
+  return false;
+};
+
+// Instance method to turn two-factor authentication off
+userSchema.methods.disableTwoFactor = function() {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = [];
+  this.twoFactorLastUsedStep = undefined;
+};
+
+// Static method to find the user owning a valid (unexpired) reset token
+userSchema.statics.findByResetToken = function(resetToken) {
+  return this.findOne({
+    resetPasswordToken: hashToken(resetToken),
+    resetPasswordExpires: { $gt: Date.now() }
+  });
+};
+
+// Errors thrown by findByCredentials for an existing account carry its id
+// so failed attempts can be audited
+const createLoginError = (message, user) => {
+  const error = new Error(message);
+  error.userId = user._id;
+  return error;
+};
+
+const createLockedError = (user) => {
+  const error = createLoginError('Account locked', user);
+  error.lockUntil = user.lockUntil;
+  return error;
+};
+
+// Hash checked when no account matches, so a miss costs as much as a wrong
+// password and response times don't reveal which emails have accounts
+let dummyPasswordHash = null;
+const getDummyPasswordHash = () => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = bcrypt.hash('not-a-real-password', 12);
+  }
+  return dummyPasswordHash;
+};
+
 // Static method to find user by credentials
 userSchema.statics.findByCredentials = async function(email, password) {
   const user = await this.findOne({ email }).select('+password');
   
   if (!user) {
+    await bcrypt.compare(String(password || ''), await getDummyPasswordHash());
     throw new Error('Invalid login credentials');
   }
 
+  // Don't even check the password while locked
+  if (user.isLocked()) {
+    throw createLockedError(user);
+  }
+
   const isMatch = await user.comparePassword(password);
   if (!isMatch) {
-    throw new Error('Invalid login credentials');
+    await user.registerFailedLogin();
+
+    if (user.isLocked()) {
+      throw createLockedError(user);
+    }
+    throw createLoginError('Invalid login credentials', user);
+  }
+
+  // Only reveal that the account is disabled to someone who knows the password
+  if (!user.isActive) {
+    throw createLoginError('Account disabled', user);
+  }
+
+  // With 2FA the password is only half the login: keep counting failures
+  // until the second factor is verified, or cycling through password logins
+  // would allow unlimited code guesses. Otherwise the caller is expected to
+  // save the user (login updates lastLogin)
+  if (!user.twoFactorEnabled) {
+    user.clearFailedLogins();
   }
 
   return user;
 };
 
+// Static method listing the assignable roles
+userSchema.statics.getRoles = function() {
+  return this.schema.path('role').enumValues;
+};
+
 // Transform output (remove sensitive data)
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordHistory;
   delete user.resetPasswordToken;
   delete user.resetPasswordExpires;
+  delete user.tokenVersion;
+  delete user.failedLoginAttempts;
+  delete user.lockoutCount;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastUsedStep;
   return user;
 };
 
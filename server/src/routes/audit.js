@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditEvents } = require('../controllers/auditController');
+const { authenticate, requirePermission, requireTwoFactor, validateInput } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const schemas = require('../schemas/audit');
+
+router.get('/', authenticate, requirePermission(PERMISSIONS.AUDIT_READ), requireTwoFactor, validateInput(schemas.listEvents), getAuditEvents);
+
+module.exports = router;
@@ -3,27 +3,77 @@ const router = express.Router();
 const {
   register,
   login,
+  verifyTwoFactorLogin,
+  refresh,
+  verifyEmail,
+  resendVerification,
   getMe,
   updateMe,
   changePassword,
+  forgotPassword,
+  resetPassword,
   logout,
+  logoutAll,
   getAllUsers,
-  deleteUser
+  deleteUser,
+  updateUserRole,
+  unlockUser,
+  deactivateUser,
+  reactivateUser
 } = require('../controllers/authController');
-const { authenticate, authorize } = require('../middleware/auth');
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const {
+  authenticate,
+  requirePermission,
+  requireTwoFactor,
+  requireVerifiedEmail,
+  validateInput,
+  rateLimit
+} = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const schemas = require('../schemas/auth');
+
+// Every route that takes input validates it first (see schemas/auth)
+
+const authLimit = rateLimit(RATE_LIMITS.auth);
+const emailLimit = rateLimit(RATE_LIMITS.email);
 
 // Public routes
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', authLimit, validateInput(schemas.register), register);
+router.post('/login', authLimit, validateInput(schemas.login), login);
+router.post('/login/2fa', authLimit, validateInput(schemas.verifyTwoFactorLogin), verifyTwoFactorLogin);
+router.post('/refresh', authLimit, validateInput(schemas.refresh), refresh);
+router.post('/forgot-password', emailLimit, validateInput(schemas.requestEmail), forgotPassword);
+router.post('/reset-password/:token', authLimit, validateInput(schemas.resetPassword), resetPassword);
+router.get('/verify-email/:token', validateInput(schemas.verifyEmail), verifyEmail);
+router.post('/resend-verification', emailLimit, validateInput(schemas.requestEmail), resendVerification);
 
 // Private routes (require authentication)
 router.get('/me', authenticate, getMe);
-router.put('/me', authenticate, updateMe);
-router.put('/change-password', authenticate, changePassword);
-router.post('/logout', authenticate, logout);
+router.put('/me', authenticate, validateInput(schemas.updateMe), updateMe);
+router.put('/change-password', authenticate, validateInput(schemas.changePassword), changePassword);
+router.post('/logout', authenticate, validateInput(schemas.logout), logout);
+router.post('/logout-all', authenticate, logoutAll);
+
+// Two-factor authentication (enrolling needs a verified mailbox under the
+// limit policy, see requireVerifiedEmail)
+router.post('/2fa/setup', authenticate, requireVerifiedEmail, setupTwoFactor);
+router.post('/2fa/confirm', authenticate, validateInput(schemas.confirmTwoFactor), confirmTwoFactor);
+router.post('/2fa/disable', authenticate, validateInput(schemas.disableTwoFactor), disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, validateInput(schemas.regenerateRecoveryCodes), regenerateRecoveryCodes);
 
-// Admin only routes
-router.get('/users', authenticate, authorize('admin'), getAllUsers);
-router.delete('/users/:id', authenticate, authorize('admin'), deleteUser);
+// User management (permission based, see config/permissions)
+router.get('/users', authenticate, requirePermission(PERMISSIONS.USERS_READ), requireTwoFactor, validateInput(schemas.listUsers), getAllUsers);
+router.delete('/users/:id', authenticate, requirePermission(PERMISSIONS.USERS_DELETE), requireTwoFactor, validateInput(schemas.userAction), deleteUser);
+router.patch('/users/:id/role', authenticate, requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), requireTwoFactor, validateInput(schemas.updateUserRole), updateUserRole);
+router.post('/users/:id/unlock', authenticate, requirePermission(PERMISSIONS.USERS_UPDATE), requireTwoFactor, validateInput(schemas.userAction), unlockUser);
+router.post('/users/:id/deactivate', authenticate, requirePermission(PERMISSIONS.USERS_UPDATE), requireTwoFactor, validateInput(schemas.userAction), deactivateUser);
+router.post('/users/:id/reactivate', authenticate, requirePermission(PERMISSIONS.USERS_UPDATE), requireTwoFactor, validateInput(schemas.userAction), reactivateUser);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { authenticate, optionalAuthenticate, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Public routes (a token adds the user's own unpublished posts to the counts)
+router.get('/', optionalAuthenticate, getCategories);
+router.get('/:id', optionalAuthenticate, getCategory);
+
+// Admin and moderator routes
+const canManage = requirePermission(PERMISSIONS.CATEGORIES_MANAGE);
+
+router.post('/', authenticate, canManage, createCategory);
+router.put('/:id', authenticate, canManage, updateCategory);
+router.delete('/:id', authenticate, canManage, deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  loadComment,
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentController');
+const {
+  authenticate,
+  optionalAuthenticate,
+  requirePermission,
+  requireOwnership,
+  requireVerifiedEmail,
+  rateLimit
+} = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+// Mounted on /api/posts/:id/comments
+
+// Public routes (comments on unpublished posts are only shown to those who
+// can see the post)
+router.get('/', optionalAuthenticate, getComments);
+
+// Private routes
+router.post('/', authenticate, rateLimit(RATE_LIMITS.write), requireVerifiedEmail, requirePermission(PERMISSIONS.COMMENTS_CREATE), createComment);
+router.put('/:commentId', authenticate, requireOwnership(loadComment), updateComment);
+router.delete('/:commentId', authenticate, requireOwnership(loadComment, { permission: PERMISSIONS.COMMENTS_MODERATE }), deleteComment);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const {
+  loadPost,
+  getPosts,
+  getPost,
+  getPostBySlug,
+  createPost,
+  updatePost,
+  deletePost
+} = require('../controllers/postController');
+const {
+  authenticate,
+  optionalAuthenticate,
+  requirePermission,
+  requireOwnership,
+  requireVerifiedEmail,
+  rateLimit
+} = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { RATE_LIMITS } = require('../config/rateLimits');
+const commentRoutes = require('./comments');
+const revisionRoutes = require('./revisions');
+const reactionRoutes = require('./reactions');
+
+// Public routes (a token additionally reveals the user's own unpublished posts)
+router.get('/', optionalAuthenticate, getPosts);
+router.get('/slug/:slug', optionalAuthenticate, getPostBySlug);
+router.get('/:id', optionalAuthenticate, getPost);
+
+// Private routes
+router.post('/', authenticate, rateLimit(RATE_LIMITS.write), requireVerifiedEmail, requirePermission(PERMISSIONS.POSTS_CREATE), createPost);
+router.put('/:id', authenticate, requireOwnership(loadPost), updatePost);
+router.delete('/:id', authenticate, requireOwnership(loadPost, { permission: PERMISSIONS.POSTS_MODERATE }), deletePost);
+
+// Comments, revision history and reactions
+router.use('/:id/comments', commentRoutes);
+router.use('/:id/revisions', revisionRoutes);
+router.use('/:id/reactions', reactionRoutes);
+
+module.exports = router;
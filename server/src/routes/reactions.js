@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getReactions,
+  addReaction,
+  removeReaction
+} = require('../controllers/reactionController');
+const { authenticate, optionalAuthenticate, rateLimit } = require('../middleware/auth');
+const { RATE_LIMITS } = require('../config/rateLimits');
+
+// Mounted on /api/posts/:id/reactions
+
+// Public routes (a token adds the caller's own reactions)
+router.get('/', optionalAuthenticate, getReactions);
+
+// Private routes; PUT and DELETE can be repeated safely
+router.put('/:type', authenticate, rateLimit(RATE_LIMITS.write), addReaction);
+router.delete('/:type', authenticate, removeReaction);
+
+module.exports = router;
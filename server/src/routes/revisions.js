@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/revisionController');
+const { loadPost } = require('../controllers/postController');
+const { authenticate, requireOwnership } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Mounted on /api/posts/:id/revisions
+
+// History is visible to the author and moderators, only the author may restore
+const canReview = requireOwnership(loadPost, { permission: PERMISSIONS.POSTS_MODERATE });
+
+router.get('/', authenticate, canReview, getRevisions);
+router.get('/diff', authenticate, canReview, diffRevisions);
+router.get('/:number', authenticate, canReview, getRevision);
+router.post('/:number/restore', authenticate, requireOwnership(loadPost), restoreRevision);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { search } = require('../controllers/searchController');
+const { optionalAuthenticate } = require('../middleware/auth');
+
+router.get('/', optionalAuthenticate, search);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getTags, mergeTags } = require('../controllers/tagController');
+const { authenticate, optionalAuthenticate, requirePermission, validateInput } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const schemas = require('../schemas/tags');
+
+// Public routes
+router.get('/', optionalAuthenticate, getTags);
+
+// Admin routes
+router.post('/merge', authenticate, requirePermission(PERMISSIONS.TAGS_MANAGE), validateInput(schemas.mergeTags), mergeTags);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Request validation schemas for the audit log routes
+ * Applied with validateInput (see schemas/auth). Every failure is reported as
+ * INVALID_FILTER with one message per parameter
+ */
+const Joi = require('joi');
+const AuditEvent = require('../models/AuditEvent');
+
+// Repeating a parameter is a mistake rather than a list, except for action
+const userId = (label) => Joi.string().pattern(/^[0-9a-f]{24}$/i).empty('').label(label).messages({
+  'string.base': `${label} must be a single value`,
+  'string.pattern.base': `${label} must be a valid user id`
+});
+
+const date = (label) => Joi.date().empty('').label(label).messages({
+  'date.base': `${label} must be a valid date`
+});
+
+// Accepts a comma-separated list, a repeated parameter or both
+const actions = Joi.any()
+  .empty('')
+  .custom((value, helpers) => {
+    const list = [].concat(value).join(',').split(',').map(action => action.trim());
+    const unknown = list.filter(action => !AuditEvent.ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      return helpers.error('action.unknown', { unknown: unknown.join(', ') });
+    }
+
+    return list;
+  })
+  .messages({ 'action.unknown': 'Unknown action: {#unknown}' });
+
+const listEvents = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1).label('page'),
+    limit: Joi.number().integer().min(1).max(100).default(20).label('limit'),
+    actor: userId('actor'),
+    target: userId('target'),
+    action: actions.label('action'),
+    from: date('from'),
+    to: date('to')
+  }),
+  invalid: { message: 'Invalid audit filter', code: 'INVALID_FILTER' }
+};
+
+module.exports = {
+  listEvents
+};
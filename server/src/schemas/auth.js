@@ -0,0 +1,189 @@
+/**
+ * Request validation schemas for the auth and user management routes
+ * Each entry describes the parts of the request it checks ({ body, params,
+ * query }) and is applied with validateInput. `missing` is the error reported
+ * when the only problem is that required values were not sent
+ */
+const Joi = require('joi');
+const User = require('../models/User');
+
+// Shared fields, with the same messages as the User model
+const name = Joi.string().trim().min(2).max(50).label('Name').messages({
+  'string.min': 'Name must be at least 2 characters',
+  'string.max': 'Name cannot exceed 50 characters'
+});
+
+const email = Joi.string().trim().lowercase().email({ tlds: { allow: false } }).label('Email').messages({
+  'string.email': 'Please provide a valid email address'
+});
+
+// Strength rules are checked against the account by utils/passwordPolicy
+const password = (label = 'Password') => Joi.string().max(128).label(label).messages({
+  'string.max': `${label} cannot exceed 128 characters`
+});
+
+const token = (label) => Joi.string().trim().max(2048).label(label);
+
+const totpCode = Joi.string().trim().pattern(/^\d{6}$/).label('Code').messages({
+  'string.pattern.base': 'Code must be 6 digits'
+});
+
+const recoveryCode = Joi.string().trim().max(32).label('Recovery code');
+
+// For bodies that take either kind of second factor
+const secondFactorMessages = {
+  'object.missing': 'Provide a code or a recovery code'
+};
+
+const objectId = Joi.string().hex().length(24).label('User id').messages({
+  'string.hex': 'User id must be a valid id',
+  'string.length': 'User id must be a valid id'
+});
+
+const userParams = Joi.object({
+  id: objectId.required()
+});
+
+const register = {
+  body: Joi.object({
+    name: name.required(),
+    email: email.required(),
+    password: password().required()
+  })
+};
+
+// Only presence is checked on login, so the response never hints at rules
+const login = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().max(254).required().label('Email'),
+    password: Joi.string().max(128).required().label('Password')
+  }),
+  missing: { message: 'Please provide email and password', code: 'MISSING_CREDENTIALS' }
+};
+
+const verifyTwoFactorLogin = {
+  body: Joi.object({
+    challengeToken: token('Challenge token').required(),
+    code: totpCode,
+    recoveryCode
+  }).or('code', 'recoveryCode').messages(secondFactorMessages),
+  missing: {
+    message: 'Please provide the challenge token and a verification code',
+    code: 'MISSING_TWO_FACTOR_CODE'
+  }
+};
+
+const refresh = {
+  body: Joi.object({
+    refreshToken: token('Refresh token').required()
+  }),
+  missing: { message: 'Please provide a refresh token', code: 'MISSING_REFRESH_TOKEN' }
+};
+
+const requestEmail = {
+  body: Joi.object({
+    email: email.required()
+  }),
+  missing: { message: 'Please provide an email address', code: 'MISSING_EMAIL' }
+};
+
+const resetPassword = {
+  params: Joi.object({
+    token: token('Reset token').required()
+  }),
+  body: Joi.object({
+    password: password().required()
+  }),
+  missing: { message: 'Please provide a new password', code: 'MISSING_PASSWORD' }
+};
+
+const verifyEmail = {
+  params: Joi.object({
+    token: token('Verification token').required()
+  })
+};
+
+const updateMe = {
+  body: Joi.object({
+    name,
+    email
+  })
+};
+
+const changePassword = {
+  body: Joi.object({
+    currentPassword: Joi.string().max(128).required().label('Current password'),
+    newPassword: password('New password').required()
+  }),
+  missing: { message: 'Please provide current and new password', code: 'MISSING_PASSWORDS' }
+};
+
+const logout = {
+  body: Joi.object({
+    refreshToken: token('Refresh token')
+  })
+};
+
+const confirmTwoFactor = {
+  body: Joi.object({
+    code: totpCode.required()
+  }),
+  missing: { message: 'Please provide a verification code', code: 'MISSING_TWO_FACTOR_CODE' }
+};
+
+const disableTwoFactor = {
+  body: Joi.object({
+    password: Joi.string().max(128).required().label('Password'),
+    code: totpCode,
+    recoveryCode
+  }).or('code', 'recoveryCode').messages(secondFactorMessages),
+  missing: { message: 'Please provide your password and a verification code', code: 'MISSING_CREDENTIALS' }
+};
+
+const regenerateRecoveryCodes = {
+  body: Joi.object({
+    code: totpCode.required()
+  }),
+  missing: { message: 'Please provide a verification code', code: 'MISSING_TWO_FACTOR_CODE' }
+};
+
+const listUsers = {
+  query: Joi.object({
+    page: Joi.number().integer().min(1).default(1).label('Page'),
+    limit: Joi.number().integer().min(1).max(100).default(10).label('Limit'),
+    role: Joi.string().valid(...User.getRoles()).label('Role'),
+    search: Joi.string().trim().max(100).allow('').label('Search')
+  })
+};
+
+const userAction = {
+  params: userParams
+};
+
+// The role value itself is checked by the controller (INVALID_ROLE)
+const updateUserRole = {
+  params: userParams,
+  body: Joi.object({
+    role: Joi.string().trim().required().label('Role')
+  }),
+  missing: { message: 'Please provide a role', code: 'MISSING_ROLE' }
+};
+
+module.exports = {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  refresh,
+  requestEmail,
+  resetPassword,
+  verifyEmail,
+  updateMe,
+  changePassword,
+  logout,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  listUsers,
+  userAction,
+  updateUserRole
+};
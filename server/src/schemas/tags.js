@@ -0,0 +1,28 @@
+/**
+ * Request validation schemas for the tag routes
+ * Applied with validateInput (see schemas/auth). Tags are normalized by the
+ * controller, so these only bound the raw input
+ */
+const Joi = require('joi');
+
+const INVALID_MERGE = { message: 'Invalid tag merge', code: 'INVALID_TAGS' };
+
+const tag = Joi.string().max(100);
+
+// "from" is a list of tags or a comma-separated string
+const mergeTags = {
+  body: Joi.object({
+    from: Joi.alternatives()
+      .try(Joi.array().items(tag).min(1).max(50), Joi.string().max(1000))
+      .required()
+      .label('from')
+      .messages({ 'alternatives.types': 'from must be a list of tags' }),
+    into: tag.required().label('into')
+  }),
+  missing: INVALID_MERGE,
+  invalid: INVALID_MERGE
+};
+
+module.exports = {
+  mergeTags
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Token utilities shared by the User model, auth controller and middleware
+ */
+
+/**
+ * Get the secret used to sign and verify access tokens
+ * @returns {string} - JWT secret
+ */
+const getJwtSecret = () => process.env.JWT_SECRET || 'fallback-secret';
+
+/**
+ * Generate a short-lived access token
+ * @param {object} user - User document (or object with _id, email, role and tokenVersion)
+ * @returns {string} - Signed JWT
+ */
+const generateToken = (user) => {
+  const payload = {
+    id: user._id,
+    email: user.email,
+    role: user.role || 'user',
+    ver: user.tokenVersion || 0
+  };
+
+  return jwt.sign(payload, getJwtSecret(), {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
+    jwtid: crypto.randomUUID()
+  });
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - JWT to verify
+ * @returns {object} - Decoded payload
+ */
+const verifyToken = (token) => {
+  return jwt.verify(token, getJwtSecret());
+};
+
+/**
+ * Generate an opaque refresh token
+ * @returns {string} - Random refresh token
+ */
+const generateRefreshToken = () => {
+  return crypto.randomBytes(40).toString('hex');
+};
+
+/**
+ * Hash a token for storage (refresh tokens are never stored in plain text)
+ * @param {string} token - Token to hash
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Get the expiry date for a refresh token issued now
+ * @returns {Date} - Expiry date
+ */
+const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 7;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Get the policy applied to accounts with an unverified email address
+ * 'off' - no restrictions, 'limit' - routes using requireVerifiedEmail are
+ * blocked, 'block' - unverified accounts cannot log in or use any token
+ * @returns {string} - Verification policy
+ */
+const getEmailVerificationPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY;
+  return ['off', 'limit', 'block'].includes(policy) ? policy : 'off';
+};
+
+/**
+ * Sign a single-purpose token (email verification, login challenge, ...)
+ * Each purpose gets its own secret so these tokens can never pass as access
+ * tokens or as each other
+ * @param {object} payload - Token payload
+ * @param {string} purpose - Token purpose
+ * @param {string} expiresIn - Lifetime
+ * @returns {string} - Signed token
+ */
+const signPurposeToken = (payload, purpose, expiresIn) => {
+  return jwt.sign(payload, `${getJwtSecret()}:${purpose}`, { expiresIn });
+};
+
+/**
+ * Verify a single-purpose token
+ * @param {string} token - Token to verify
+ * @param {string} purpose - Expected purpose
+ * @returns {object} - Decoded payload
+ */
+const verifyPurposeToken = (token, purpose) => {
+  return jwt.verify(token, `${getJwtSecret()}:${purpose}`);
+};
+
+/**
+ * Generate a signed email verification token
+ * @param {object} user - User document
+ * @returns {string} - Signed token bound to the user's current email
+ */
+const generateEmailVerificationToken = (user) => {
+  return signPurposeToken(
+    { id: user._id, email: user.email },
+    'email-verification',
+    process.env.EMAIL_VERIFICATION_EXPIRE || '24h'
+  );
+};
+
+/**
+ * Verify an email verification token
+ * @param {string} token - Token from the verification link
+ * @returns {object} - Decoded payload with id and email
+ */
+const verifyEmailVerificationToken = (token) => {
+  return verifyPurposeToken(token, 'email-verification');
+};
+
+/**
+ * Generate the interim token returned by login when 2FA is enabled
+ * @param {object} user - User document
+ * @returns {string} - Signed challenge token
+ */
+const generateTwoFactorChallengeToken = (user) => {
+  return signPurposeToken({ id: user._id }, 'two-factor-challenge', '5m');
+};
+
+/**
+ * Verify a two-factor login challenge token
+ * @param {string} token - Challenge token
+ * @returns {object} - Decoded payload with id
+ */
+const verifyTwoFactorChallengeToken = (token) => {
+  return verifyPurposeToken(token, 'two-factor-challenge');
+};
+
+module.exports = {
+  getJwtSecret,
+  generateToken,
+  verifyToken,
+  getEmailVerificationPolicy,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken,
+  generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry
+};
@@ -0,0 +1,136 @@
+/**
+ * Line-level text diff (Myers' O(ND) algorithm)
+ * Time and memory grow with the number of edits, so diffs are given up on
+ * past a limit rather than letting one request exhaust the server
+ */
+
+/**
+ * Get the most edits a diff may need (REVISION_DIFF_MAX_EDITS, default 1000)
+ * @returns {number}
+ */
+const getMaxDiffEdits = () => {
+  return parseInt(process.env.REVISION_DIFF_MAX_EDITS) || 1000;
+};
+
+/**
+ * Split text into lines
+ * @param {string} text - Text to split
+ * @returns {string[]} - Lines (empty text has no lines)
+ */
+const splitLines = (text) => {
+  if (!text) return [];
+  return String(text).split(/\r?\n/);
+};
+
+/**
+ * Find the shortest edit script between two line arrays
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @param {number} maxEdits - Give up past this many edits
+ * @returns {Int32Array[]|null} - Furthest-reaching x per diagonal, one snapshot
+ *   per edit distance d covering diagonals -d-1..d+1 (null past maxEdits)
+ */
+const shortestEdit = (a, b, maxEdits) => {
+  const limit = Math.min(a.length + b.length, maxEdits);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  const trace = [];
+
+  for (let d = 0; d <= limit; d++) {
+    // Only the diagonals reachable so far, so memory stays at O(D²) integers
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      // Move down (insertion) or right (deletion), whichever reaches further
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      // Follow the diagonal of equal lines
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        return trace;
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @param {object} options - { maxEdits }
+ * @returns {object[]|null} - Changes in order: { type: 'equal'|'insert'|'delete',
+ *   content, oldLine, newLine } with 1-based line numbers (null where absent),
+ *   or null when the texts differ by more than maxEdits lines
+ */
+const diffLines = (oldText, newText, { maxEdits = getMaxDiffEdits() } = {}) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+  const trace = shortestEdit(a, b, maxEdits);
+  if (!trace) return null;
+
+  const changes = [];
+
+  let x = a.length;
+  let y = b.length;
+
+  // Walk the trace backwards to recover the path
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    // Snapshot d starts at diagonal -d-1
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      changes.push({ type: 'equal', content: a[x - 1], oldLine: x, newLine: y });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        changes.push({ type: 'insert', content: b[y - 1], oldLine: null, newLine: y });
+      } else {
+        changes.push({ type: 'delete', content: a[x - 1], oldLine: x, newLine: null });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return changes.reverse();
+};
+
+/**
+ * Count inserted and deleted lines in a diff
+ * @param {object[]} changes - Result of diffLines
+ * @returns {object} - { added, removed }
+ */
+const summarizeDiff = (changes) => {
+  return changes.reduce((stats, change) => {
+    if (change.type === 'insert') stats.added++;
+    if (change.type === 'delete') stats.removed++;
+    return stats;
+  }, { added: 0, removed: 0 });
+};
+
+module.exports = {
+  getMaxDiffEdits,
+  splitLines,
+  diffLines,
+  summarizeDiff
+};
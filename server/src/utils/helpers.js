@@ -130,6 +130,104 @@ const getPaginationOptions = (page = 1, limit = 10) => {
   };
 };
 
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+const escapeRegex = (text) => {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+// Letters that Unicode normalization does not reduce to ASCII
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i',
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z',
+  и: 'i', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r',
+  с: 's', т: 't', у: 'u', ф: 'f', х: 'h', ц: 'ts', ч: 'ch', ш: 'sh',
+  щ: 'sch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i',
+  κ: 'k', λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's',
+  ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+/**
+ * Turn a title into a URL-friendly slug
+ * Accented letters lose their accents and common Latin, Cyrillic and Greek
+ * letters are transliterated; anything else is dropped
+ * @param {string} text - Text to slugify
+ * @returns {string} - Lowercase words joined by hyphens
+ */
+const slugify = (text) => {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s-]/g, char => TRANSLITERATIONS[char] ?? char)
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Normalize a free-form tag: lowercase, single hyphens for whitespace and no
+ * leading '#'. Other punctuation is kept so "c++" and "node.js" stay distinct
+ * @param {string} tag - Tag as typed
+ * @returns {string} - Normalized tag (empty when nothing is left)
+ */
+const normalizeTag = (tag) => {
+  if (typeof tag !== 'string') {
+    return '';
+  }
+
+  return tag
+    .normalize('NFKC')
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/^-+|-+$/g, '');
+};
+
+/**
+ * Normalize a list of tags (an array or a comma-separated string), dropping
+ * empty entries and duplicates
+ * @param {string[]|string} tags - Tags as given
+ * @returns {string[]} - Unique normalized tags in their original order
+ */
+const normalizeTags = (tags) => {
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+};
+
+/**
+ * Parse the TRUST_PROXY setting for Express's 'trust proxy'
+ * Behind a load balancer or reverse proxy req.ip is the proxy's address unless
+ * the proxy is trusted, so every client would share one rate-limit key
+ * @param {string} value - "true"/"false", a hop count, or comma-separated
+ * addresses and subnets (e.g. "loopback, 10.0.0.0/8")
+ * @returns {boolean|number|string} - Value for app.set('trust proxy'); false when unset
+ */
+const parseTrustProxy = (value) => {
+  const setting = String(value || '').trim();
+
+  if (setting === '' || setting === 'false') return false;
+  if (setting === 'true') return true;
+  if (/^\d+$/.test(setting)) return parseInt(setting);
+
+  return setting;
+};
+
 /**
  * Log request information
  * @param {object} req - Express request object
@@ -155,5 +253,10 @@ module.exports = {
   hashPassword,
   comparePassword,
   getPaginationOptions,
+  escapeRegex,
+  slugify,
+  normalizeTag,
+  normalizeTags,
+  parseTrustProxy,
   logRequest
 };
\ No newline at end of file
@@ -0,0 +1,122 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const { hashToken } = require('./auth');
+
+/**
+ * Per-email throttling
+ * IP-keyed rate limits don't stop a brute force spread over many addresses,
+ * so sensitive flows also count attempts per target email. After a few free
+ * attempts each further one doubles the wait before the next is evaluated.
+ * Emails are counted whether or not an account exists, so the throttle
+ * itself can't be used to probe for accounts
+ */
+
+const THROTTLE_SCOPES = {
+  LOGIN: 'login',
+  PASSWORD_RESET: 'password_reset'
+};
+
+/**
+ * Whether the per-email throttle applies (LOGIN_THROTTLE_ENABLED, default on
+ * outside of tests). Separate from RATE_LIMIT_ENABLED so that handing IP
+ * limits to a proxy doesn't also drop the per-account protection
+ * @returns {boolean}
+ */
+const isThrottleEnabled = () => {
+  if (process.env.LOGIN_THROTTLE_ENABLED !== undefined) {
+    return process.env.LOGIN_THROTTLE_ENABLED === 'true';
+  }
+  return process.env.NODE_ENV !== 'test';
+};
+
+/**
+ * Get the throttle settings
+ * LOGIN_THROTTLE_FREE_ATTEMPTS (default 3), LOGIN_THROTTLE_BASE_DELAY_MS
+ * (default 1s), LOGIN_THROTTLE_MAX_DELAY_MS (default 15 minutes) and
+ * LOGIN_THROTTLE_RESET_MINUTES, the quiet period after which attempts are
+ * forgotten (default 60)
+ * @returns {object}
+ */
+const getThrottlePolicy = () => {
+  const freeAttempts = parseInt(process.env.LOGIN_THROTTLE_FREE_ATTEMPTS);
+
+  return {
+    freeAttempts: Number.isNaN(freeAttempts) ? 3 : Math.max(freeAttempts, 0),
+    baseDelayMs: parseInt(process.env.LOGIN_THROTTLE_BASE_DELAY_MS) || 1000,
+    maxDelayMs: parseInt(process.env.LOGIN_THROTTLE_MAX_DELAY_MS) || 15 * 60 * 1000,
+    resetMs: (parseInt(process.env.LOGIN_THROTTLE_RESET_MINUTES) || 60) * 60 * 1000
+  };
+};
+
+/**
+ * Normalize an email so variants of one address share a counter
+ * @param {string} email - Email as submitted
+ * @returns {string}
+ */
+const normalizeEmail = (email) => {
+  return String(email || '').normalize('NFKC').trim().toLowerCase();
+};
+
+/**
+ * Get the delay imposed after a number of attempts
+ * @param {number} attempts - Attempts counted so far
+ * @param {object} policy - See getThrottlePolicy
+ * @returns {number} - Delay in ms (0 while attempts are free)
+ */
+const getThrottleDelay = (attempts, policy = getThrottlePolicy()) => {
+  const excess = attempts - policy.freeAttempts;
+  if (excess <= 0) return 0;
+
+  return Math.min(policy.baseDelayMs * Math.pow(2, excess - 1), policy.maxDelayMs);
+};
+
+const getThrottleKey = (scope, email) => hashToken(`${scope}:${normalizeEmail(email)}`);
+
+/**
+ * Check whether an email may be tried in a flow
+ * @param {string} scope - One of THROTTLE_SCOPES
+ * @param {string} email - Target email
+ * @returns {Promise<number>} - ms until the next attempt is allowed (0 if now)
+ */
+const checkThrottle = async (scope, email) => {
+  if (!isThrottleEnabled()) return 0;
+
+  return LoginThrottle.getRetryAfter(getThrottleKey(scope, email));
+};
+
+/**
+ * Count an attempt against an email in a flow
+ * @param {string} scope - One of THROTTLE_SCOPES
+ * @param {string} email - Target email
+ * @returns {Promise<number>} - Delay imposed before the next attempt (ms)
+ */
+const registerThrottledAttempt = async (scope, email) => {
+  if (!isThrottleEnabled()) return 0;
+
+  const policy = getThrottlePolicy();
+  return LoginThrottle.registerAttempt(getThrottleKey(scope, email), {
+    getDelay: (attempts) => getThrottleDelay(attempts, policy),
+    resetMs: policy.resetMs
+  });
+};
+
+/**
+ * Forget the attempts against an email in a flow (e.g. after a success)
+ * @param {string} scope - One of THROTTLE_SCOPES
+ * @param {string} email - Target email
+ */
+const clearThrottle = async (scope, email) => {
+  if (!isThrottleEnabled()) return;
+
+  await LoginThrottle.deleteOne({ key: getThrottleKey(scope, email) });
+};
+
+module.exports = {
+  THROTTLE_SCOPES,
+  isThrottleEnabled,
+  getThrottlePolicy,
+  normalizeEmail,
+  getThrottleDelay,
+  checkThrottle,
+  registerThrottledAttempt,
+  clearThrottle
+};
@@ -0,0 +1,59 @@
+/**
+ * Markdown rendering with an allowlist HTML sanitizer
+ */
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+// Bump whenever the rendering or sanitizer settings change, so cached HTML
+// rendered with the old settings is regenerated
+const RENDERER_VERSION = 1;
+
+const markdown = new Marked({ gfm: true, breaks: false, async: false });
+
+// Everything not listed here is stripped, including raw HTML in the source
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'p', 'br', 'hr', 'blockquote',
+    'strong', 'em', 'del', 'code', 'pre',
+    'ul', 'ol', 'li',
+    'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align']
+  },
+  // Language hints on fenced code blocks, for client-side highlighting
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false,
+  transformTags: {
+    // User-supplied links must not pass on referrer or ranking
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} source - Markdown source
+ * @returns {string} - HTML safe to insert into a page
+ */
+const renderMarkdown = (source) => {
+  if (!source || typeof source !== 'string') return '';
+
+  return sanitizeHtml(markdown.parse(source), SANITIZE_OPTIONS);
+};
+
+module.exports = {
+  RENDERER_VERSION,
+  renderMarkdown
+};
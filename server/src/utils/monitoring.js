@@ -127,37 +127,6 @@ const dbMonitor = {
   }
 };
 
-/**
- * API rate limiting monitor
- */
-const rateLimitMonitor = (req, res, next) => {
-  const key = req.ip;
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxRequests = 100;
-  
-  if (!global.rateLimitStore) {
-    global.rateLimitStore = new Map();
-  }
-  
-  const requestLog = global.rateLimitStore.get(key) || [];
-  const validRequests = requestLog.filter(time => now - time < windowMs);
-  
-  if (validRequests.length >= maxRequests) {
-    logger.logSecurity('Rate Limit Exceeded', {
-      ip: req.ip,
-      requests: validRequests.length,
-      window: '15 minutes',
-      severity: 'medium'
-    });
-  }
-  
-  validRequests.push(now);
-  global.rateLimitStore.set(key, validRequests);
-  
-  next();
-};
-
 /**
  * Error tracking and reporting
  */
@@ -245,7 +214,6 @@ if (process.env.NODE_ENV !== 'test') {
 module.exports = {
   performanceMonitor,
   securityMonitor,
-  rateLimitMonitor,
   dbMonitor,
   errorTracker,
   healthCheck
@@ -0,0 +1,117 @@
+/**
+ * Password policy shared by registration, password change and reset
+ * The default rules and messages match the client's validatePassword helper
+ */
+const COMMON_PASSWORDS = new Set(require('../config/commonPasswords'));
+
+// Characters that count as symbols (same set as the client)
+const SYMBOLS = '@$!%*?&';
+
+// Name and email parts shorter than this are too common to reject
+const MIN_PERSONAL_PART_LENGTH = 3;
+
+/**
+ * Read the configurable policy (env values, read on every call)
+ * PASSWORD_MIN_LENGTH (default 8), and PASSWORD_REQUIRE_LOWERCASE,
+ * PASSWORD_REQUIRE_UPPERCASE, PASSWORD_REQUIRE_NUMBER, PASSWORD_REQUIRE_SYMBOL
+ * (each on unless set to 'false')
+ * @returns {object} - Policy settings
+ */
+const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL !== 'false'
+});
+
+/**
+ * Check whether a password is (a variant of) a common password
+ * @param {string} password - Password to check
+ * @returns {boolean} - True if blocklisted
+ */
+const isCommonPassword = (password) => {
+  const normalized = password.toLowerCase();
+  const stem = normalized.replace(/[\d@$!%*?&.#_-]+$/, '');
+
+  return COMMON_PASSWORDS.has(normalized) || COMMON_PASSWORDS.has(stem);
+};
+
+/**
+ * Collect the parts of a user's name and email a password must not contain
+ * @param {object} user - { name, email }
+ * @returns {string[]} - Lowercase parts
+ */
+const getPersonalParts = ({ name, email } = {}) => {
+  const parts = [];
+
+  if (typeof name === 'string') {
+    const words = name.toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    parts.push(...words, words.join(''));
+  }
+
+  if (typeof email === 'string') {
+    const localPart = email.toLowerCase().split('@')[0];
+    parts.push(localPart, ...localPart.split(/[^\p{L}\p{N}]+/u));
+  }
+
+  return [...new Set(parts)].filter(part => part.length >= MIN_PERSONAL_PART_LENGTH);
+};
+
+/**
+ * Validate a password against the policy
+ * @param {string} password - Password to validate
+ * @param {object} user - The account's { name, email }, if known
+ * @returns {object} - Validation result with isValid and errors
+ */
+const validatePassword = (password, user = {}) => {
+  const errors = [];
+
+  if (!password || typeof password !== 'string') {
+    errors.push('Password is required');
+    return { isValid: false, errors };
+  }
+
+  const policy = getPasswordPolicy();
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain at least one lowercase letter');
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain at least one uppercase letter');
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain at least one number');
+  }
+
+  if (policy.requireSymbol && ![...password].some(char => SYMBOLS.includes(char))) {
+    errors.push('Password must contain at least one special character');
+  }
+
+  if (isCommonPassword(password)) {
+    errors.push('Password is too common');
+  }
+
+  const lowered = password.toLowerCase();
+  if (getPersonalParts(user).some(part => lowered.includes(part))) {
+    errors.push('Password must not contain your name or email');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+};
+
+module.exports = {
+  SYMBOLS,
+  getPasswordPolicy,
+  isCommonPassword,
+  validatePassword
+};
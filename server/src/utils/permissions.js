@@ -0,0 +1,58 @@
+const { ROLE_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - Role name
+ * @returns {string[]} - Permissions (empty for unknown roles)
+ */
+const getPermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission such as `users:read`
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  return getPermissions(role).includes(permission);
+};
+
+/**
+ * Check whether a user owns a resource
+ * @param {object} user - Authenticated user (`req.user`)
+ * @param {object} resource - Document with an owner reference
+ * @param {string} ownerField - Field holding the owner (id or populated document)
+ * @returns {boolean}
+ */
+const isOwner = (user, resource, ownerField = 'author') => {
+  if (!user || !resource) return false;
+
+  const owner = resource[ownerField];
+  if (!owner) return false;
+
+  const ownerId = owner._id || owner;
+  return ownerId.toString() === String(user.id);
+};
+
+/**
+ * Check whether a user may modify a resource, either as its owner or
+ * through a permission that overrides ownership
+ * @param {object} user - Authenticated user (`req.user`)
+ * @param {object} resource - Document with an owner reference
+ * @param {string} permission - Overriding permission (optional)
+ * @param {string} ownerField - Field holding the owner
+ * @returns {boolean}
+ */
+const canModify = (user, resource, permission, ownerField = 'author') => {
+  if (isOwner(user, resource, ownerField)) return true;
+  return Boolean(user && permission && hasPermission(user.role, permission));
+};
+
+module.exports = {
+  getPermissions,
+  hasPermission,
+  isOwner,
+  canModify
+};
@@ -0,0 +1,150 @@
+/**
+ * Rate-limit stores
+ *
+ * A store records hits per key with a sliding-window log and answers
+ * whether the latest one is allowed. Every store implements:
+ *
+ *   hit(key, { windowMs, max, now }) -> Promise<{ allowed, count, resetMs }>
+ *   reset(key) -> Promise<void>
+ *
+ * where count is the number of accepted hits in the window and resetMs how
+ * long until the oldest of them leaves it. Rejected hits are not recorded,
+ * so a client that backs off is let through as soon as the window slides.
+ */
+
+/**
+ * Summarize a hit log for the caller
+ * @param {boolean} allowed - Whether the latest hit was accepted
+ * @param {number[]} hits - Accepted hit timestamps, oldest first
+ * @param {number} windowMs - Window length
+ * @param {number} now - Current time
+ * @returns {object} - { allowed, count, resetMs }
+ */
+const summarizeHits = (allowed, hits, windowMs, now) => ({
+  allowed,
+  count: hits.length,
+  resetMs: hits.length > 0 ? Math.max(hits[0] + windowMs - now, 0) : 0
+});
+
+/**
+ * In-process store for single-instance deployments
+ * Idle keys are swept periodically and the least recently used keys are
+ * evicted past maxKeys, so memory stays bounded
+ */
+class MemoryStore {
+  constructor({ maxKeys = 10000, cleanupInterval = 60 * 1000 } = {}) {
+    this.maxKeys = maxKeys;
+    this.cleanupInterval = cleanupInterval;
+    this.entries = new Map();
+    this.timer = null;
+  }
+
+  async hit(key, { windowMs, max, now = Date.now() }) {
+    this.startCleanup();
+
+    const entry = this.entries.get(key);
+    const hits = entry ? entry.hits.filter(time => time > now - windowMs) : [];
+    const allowed = hits.length < max;
+
+    if (allowed) hits.push(now);
+
+    // Re-insert so Map order tracks recency for eviction
+    this.entries.delete(key);
+    this.entries.set(key, { hits, expiresAt: (hits[hits.length - 1] || now) + windowMs });
+    this.evict();
+
+    return summarizeHits(allowed, hits, windowMs, now);
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+
+  // Drop the least recently used keys beyond maxKeys
+  evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxKeys) break;
+      this.entries.delete(key);
+    }
+  }
+
+  // Drop keys whose newest hit has left the window
+  cleanup(now = Date.now()) {
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  startCleanup() {
+    if (this.timer || !this.cleanupInterval) return;
+
+    this.timer = setInterval(() => this.cleanup(), this.cleanupInterval);
+    // Don't keep the process alive just for the sweep
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.entries.clear();
+  }
+}
+
+/**
+ * MongoDB-backed store, shared by every instance behind a load balancer
+ * Expired keys are removed by a TTL index (see models/RateLimit)
+ */
+class MongoStore {
+  constructor({ model } = {}) {
+    this.model = model || require('../models/RateLimit');
+  }
+
+  async hit(key, { windowMs, max, now = Date.now() }) {
+    const { allowed, hits } = await this.model.hit(key, { windowMs, max, now });
+    return summarizeHits(allowed, hits, windowMs, now);
+  }
+
+  async reset(key) {
+    await this.model.deleteOne({ key });
+  }
+}
+
+const STORES = {
+  memory: MemoryStore,
+  mongo: MongoStore
+};
+
+const sharedStores = {};
+
+/**
+ * Get the shared store selected by RATE_LIMIT_STORE (memory or mongo,
+ * default memory)
+ * @returns {MemoryStore|MongoStore}
+ */
+const getRateLimitStore = () => {
+  const type = STORES[process.env.RATE_LIMIT_STORE] ? process.env.RATE_LIMIT_STORE : 'memory';
+
+  if (!sharedStores[type]) {
+    sharedStores[type] = new STORES[type]();
+  }
+  return sharedStores[type];
+};
+
+/**
+ * Whether the configured rate limits apply (RATE_LIMIT_ENABLED, default on
+ * outside of tests)
+ * @returns {boolean}
+ */
+const isRateLimitEnabled = () => {
+  if (process.env.RATE_LIMIT_ENABLED !== undefined) {
+    return process.env.RATE_LIMIT_ENABLED === 'true';
+  }
+  return process.env.NODE_ENV !== 'test';
+};
+
+module.exports = {
+  MemoryStore,
+  MongoStore,
+  getRateLimitStore,
+  isRateLimitEnabled
+};
@@ -0,0 +1,61 @@
+const logger = require('./logger');
+
+/**
+ * Get the scheduler interval in ms (POST_SCHEDULER_INTERVAL_MS, default 60s)
+ * @returns {number}
+ */
+const getSchedulerInterval = () => {
+  return parseInt(process.env.POST_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+};
+
+/**
+ * Publish scheduled posts that are due
+ * Errors are logged so a failed run doesn't stop the next one
+ * @returns {Promise<number>} - Number of posts published
+ */
+const runScheduledPublishing = async () => {
+  const Post = require('../models/Post');
+
+  try {
+    const published = await Post.publishDue();
+
+    if (published > 0) {
+      logger.info(`Published ${published} scheduled post(s)`);
+    }
+    return published;
+  } catch (error) {
+    logger.error(`Scheduled publishing failed: ${error.message}`);
+    return 0;
+  }
+};
+
+/**
+ * Start the in-process post scheduler
+ * Runs once immediately to catch up on anything that fell due while the
+ * server was down, then on every interval
+ * @param {object} options - { interval }
+ * @returns {Function} - Stops the scheduler
+ */
+const startPostScheduler = ({ interval = getSchedulerInterval() } = {}) => {
+  let running = false;
+
+  // Skip a tick rather than overlap a slow run
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    await runScheduledPublishing();
+    running = false;
+  };
+
+  tick();
+  const timer = setInterval(tick, interval);
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  runScheduledPublishing,
+  startPostScheduler
+};
@@ -0,0 +1,157 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { escapeRegex, sanitizeInput } = require('./helpers');
+
+const SEARCH_TYPES = ['posts', 'users'];
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Neutralise $text operators in user input: quotes would start a phrase and a
+ * leading hyphen would negate a term, so every word is searched as typed
+ * @param {string} query - Raw query
+ * @returns {string} - Query safe to pass to $search
+ */
+const toTextSearch = (query) => {
+  return query
+    .replace(/["\\]/g, ' ')
+    .split(/\s+/)
+    .map(term => term.replace(/^-+/, ''))
+    .filter(Boolean)
+    .join(' ');
+};
+
+/**
+ * Split a query into the terms to highlight
+ * @param {string} query - Raw query
+ * @returns {string[]} - Unique terms
+ */
+const getTerms = (query) => {
+  return [...new Set(
+    toTextSearch(query)
+      .split(' ')
+      .filter(Boolean)
+      .map(term => term.toLowerCase())
+  )];
+};
+
+/**
+ * Highlight query terms in a piece of text, trimmed to a snippet around the
+ * first match. The text is HTML-escaped; matches are wrapped in <mark>
+ * @param {string} text - Text to highlight
+ * @param {string[]} terms - Terms from getTerms
+ * @param {number} length - Maximum snippet length (0 for the whole text)
+ * @returns {string} - Safe HTML snippet
+ */
+const highlight = (text, terms, length = SNIPPET_LENGTH) => {
+  if (!text) return '';
+
+  const pattern = terms.length > 0
+    ? new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi')
+    : null;
+
+  let snippet = text;
+  if (length > 0 && text.length > length) {
+    const first = pattern ? text.search(pattern) : -1;
+    const start = Math.max(0, Math.min(first - Math.floor(length / 4), text.length - length));
+    snippet = text.slice(start, start + length);
+    if (start > 0) snippet = `…${snippet}`;
+    if (start + length < text.length) snippet = `${snippet}…`;
+  }
+
+  if (!pattern) return sanitizeInput(snippet);
+
+  // Odd parts of the split are the matches
+  return snippet
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${sanitizeInput(part)}</mark>` : sanitizeInput(part)))
+    .join('');
+};
+
+/**
+ * Run a ranked $text query
+ * @param {object} Model - Mongoose model with a text index
+ * @param {string} query - Raw query
+ * @param {object} filter - Extra query conditions
+ * @param {object} options - { select, populate, skip, limit }
+ * @returns {Promise<object>} - { items, total }
+ */
+const textSearch = async (Model, query, filter, { select, populate, skip, limit }) => {
+  const conditions = { ...filter, $text: { $search: toTextSearch(query) } };
+
+  let find = Model.find(conditions, { score: { $meta: 'textScore' } })
+    .select(select)
+    .sort({ score: { $meta: 'textScore' } })
+    .skip(skip)
+    .limit(limit);
+  if (populate) find = find.populate(...populate);
+
+  const [items, total] = await Promise.all([
+    find.lean(),
+    Model.countDocuments(conditions)
+  ]);
+
+  return { items, total };
+};
+
+/**
+ * Search posts visible to a user
+ * @param {string} query - Raw query
+ * @param {object} user - Authenticated user (`req.user`), if any
+ * @param {object} options - { skip, limit }
+ * @returns {Promise<object>} - { items, total }
+ */
+const searchPosts = async (query, user, { skip = 0, limit = 10 } = {}) => {
+  const terms = getTerms(query);
+  const { items, total } = await textSearch(Post, query, Post.getVisibilityFilter(user), {
+    select: 'title slug content author category status publishedAt createdAt',
+    populate: ['author', 'name'],
+    skip,
+    limit
+  });
+
+  return {
+    total,
+    items: items.map(({ content, ...post }) => ({
+      ...post,
+      highlights: {
+        title: highlight(post.title, terms, 0),
+        content: highlight(content, terms)
+      }
+    }))
+  };
+};
+
+/**
+ * Search users (callers must check the users:read permission)
+ * @param {string} query - Raw query
+ * @param {object} options - { skip, limit }
+ * @returns {Promise<object>} - { items, total }
+ */
+const searchUsers = async (query, { skip = 0, limit = 10 } = {}) => {
+  const terms = getTerms(query);
+  const { items, total } = await textSearch(User, query, {}, {
+    select: 'name email role isActive createdAt',
+    skip,
+    limit
+  });
+
+  return {
+    total,
+    items: items.map(user => ({
+      ...user,
+      highlights: {
+        name: highlight(user.name, terms, 0),
+        email: highlight(user.email, terms, 0)
+      }
+    }))
+  };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  toTextSearch,
+  getTerms,
+  highlight,
+  searchPosts,
+  searchUsers
+};
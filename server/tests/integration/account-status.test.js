@@ -0,0 +1,149 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+
+describe('Account Status Integration Tests', () => {
+  const userData = {
+    name: 'Regular User',
+    email: 'regular@example.com',
+    password: 'Secure$Pass1'
+  };
+  let userToken;
+  let refreshToken;
+  let adminToken;
+  let userId;
+
+  beforeEach(async () => {
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send(userData);
+    userToken = register.body.data.token;
+    refreshToken = register.body.data.refreshToken;
+    userId = register.body.data.user._id;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Admin User', email: 'admin@example.com', password: 'Secure$Pass1' });
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'Secure$Pass1' });
+    adminToken = login.body.data.token;
+  });
+
+  const deactivate = (id = userId) => request(app)
+    .post(`/api/auth/users/${id}/deactivate`)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  describe('POST /api/auth/users/:id/deactivate', () => {
+    test('should deactivate the account', async () => {
+      const response = await deactivate().expect(200);
+
+      expect(response.body.data.isActive).toBe(false);
+      const user = await User.findById(userId);
+      expect(user.isActive).toBe(false);
+    });
+
+    test('should reject existing access tokens', async () => {
+      await deactivate().expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ACCOUNT_DISABLED');
+    });
+
+    test('should revoke refresh tokens', async () => {
+      await deactivate().expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
+    test('should not let admins deactivate themselves', async () => {
+      const admin = await User.findOne({ email: 'admin@example.com' });
+
+      const response = await deactivate(admin._id).expect(400);
+
+      expect(response.body.error.code).toBe('CANNOT_MODIFY_SELF');
+    });
+
+    test('should return 404 for unknown users', async () => {
+      const response = await deactivate('507f1f77bcf86cd799439011').expect(404);
+
+      expect(response.body.error.code).toBe('USER_NOT_FOUND');
+    });
+
+    test('should be restricted to admins', async () => {
+      await request(app)
+        .post(`/api/auth/users/${userId}/deactivate`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('deactivated accounts', () => {
+    beforeEach(async () => {
+      await User.updateOne({ _id: userId }, { isActive: false });
+    });
+
+    test('should not be able to log in', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ACCOUNT_DISABLED');
+    });
+
+    test('should not reveal the status to a wrong password', async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: 'wrongpassword' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_CREDENTIALS');
+    });
+
+    test('should not be able to use a token issued before deactivation', async () => {
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ACCOUNT_DISABLED');
+    });
+
+    test('should not be able to refresh', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('ACCOUNT_DISABLED');
+    });
+  });
+
+  describe('POST /api/auth/users/:id/reactivate', () => {
+    test('should let the user log in again', async () => {
+      await deactivate().expect(200);
+
+      const response = await request(app)
+        .post(`/api/auth/users/${userId}/reactivate`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.isActive).toBe(true);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(200);
+    });
+  });
+});
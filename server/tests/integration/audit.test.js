@@ -0,0 +1,189 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const AuditEvent = require('../../src/models/AuditEvent');
+
+describe('Audit Log Integration Tests', () => {
+  let adminToken;
+  let adminId;
+  let userToken;
+  let userId;
+
+  beforeEach(async () => {
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Regular User', email: 'regular@example.com', password: 'Secure$Pass1' });
+    userToken = register.body.data.token;
+    userId = register.body.data.user._id;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Admin User', email: 'admin@example.com', password: 'Secure$Pass1' });
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'audit-test')
+      .send({ email: 'admin@example.com', password: 'Secure$Pass1' });
+    adminToken = login.body.data.token;
+    adminId = login.body.data.user._id;
+  });
+
+  const getAudit = (query = {}) => request(app)
+    .get('/api/audit')
+    .query(query)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  describe('recorded events', () => {
+    test('should record successful logins with origin', async () => {
+      const event = await AuditEvent.findOne({ action: 'login', actor: adminId });
+
+      expect(event).not.toBeNull();
+      expect(event.userAgent).toBe('audit-test');
+      expect(event.ip).toBeDefined();
+    });
+
+    test('should record failed logins against the account', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'regular@example.com', password: 'wrongpassword' })
+        .expect(401);
+
+      const event = await AuditEvent.findOne({ action: 'login_failed' });
+      expect(event.success).toBe(false);
+      expect(event.target.toString()).toBe(userId);
+      expect(event.details).toEqual({ email: 'regular@example.com', reason: 'invalid_credentials' });
+    });
+
+    test('should record failed logins for unknown emails', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'Secure$Pass1' })
+        .expect(401);
+
+      const event = await AuditEvent.findOne({ action: 'login_failed' });
+      expect(event.target).toBeUndefined();
+      expect(event.details.email).toBe('nobody@example.com');
+    });
+
+    test('should record password changes', async () => {
+      await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ currentPassword: 'Secure$Pass1', newPassword: 'Fresh$Pass2' })
+        .expect(200);
+
+      expect(await AuditEvent.exists({ action: 'password_changed', actor: userId })).toBeTruthy();
+    });
+
+    test('should record role changes with the previous role', async () => {
+      await request(app)
+        .patch(`/api/auth/users/${userId}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'moderator' })
+        .expect(200);
+
+      const event = await AuditEvent.findOne({ action: 'role_changed' });
+      expect(event.actor.toString()).toBe(adminId);
+      expect(event.target.toString()).toBe(userId);
+      expect(event.details).toEqual({ from: 'user', to: 'moderator' });
+    });
+
+    test('should record user deletions', async () => {
+      await request(app)
+        .delete(`/api/auth/users/${userId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const event = await AuditEvent.findOne({ action: 'user_deleted' });
+      expect(event.actor.toString()).toBe(adminId);
+      expect(event.details.email).toBe('regular@example.com');
+    });
+  });
+
+  describe('GET /api/audit', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'regular@example.com', password: 'wrongpassword' });
+    });
+
+    test('should list events newest first with pagination', async () => {
+      const response = await getAudit().expect(200);
+
+      const { events, pagination } = response.body.data;
+      expect(events[0].action).toBe('login_failed');
+      expect(pagination.total).toBe(events.length);
+      expect(events[events.length - 1].actor).toEqual({
+        _id: adminId,
+        name: 'Admin User',
+        email: 'admin@example.com'
+      });
+    });
+
+    test('should filter by action', async () => {
+      const response = await getAudit({ action: 'login_failed' }).expect(200);
+
+      expect(response.body.data.events).toHaveLength(1);
+      expect(response.body.data.events[0].details.reason).toBe('invalid_credentials');
+    });
+
+    test('should accept repeated and comma-separated actions', async () => {
+      const repeated = await getAudit({ action: ['login_failed', 'role_changed'] }).expect(200);
+      const listed = await getAudit({ action: 'login_failed,role_changed' }).expect(200);
+
+      expect(repeated.body.data.events).toHaveLength(listed.body.data.events.length);
+      expect(repeated.body.data.events[0].action).toBe('login_failed');
+    });
+
+    test('should reject repeated single-value filters', async () => {
+      const response = await getAudit({ actor: [adminId, adminId] }).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_FILTER');
+      expect(response.body.error.details).toContain('actor must be a single value');
+    });
+
+    test('should filter by actor', async () => {
+      const response = await getAudit({ actor: adminId }).expect(200);
+
+      expect(response.body.data.events.length).toBeGreaterThan(0);
+      response.body.data.events.forEach(event => {
+        expect(event.actor._id).toBe(adminId);
+      });
+    });
+
+    test('should filter by date range', async () => {
+      const future = new Date(Date.now() + 60 * 1000).toISOString();
+
+      const empty = await getAudit({ from: future }).expect(200);
+      expect(empty.body.data.events).toHaveLength(0);
+
+      const all = await getAudit({ to: future }).expect(200);
+      expect(all.body.data.events.length).toBeGreaterThan(0);
+    });
+
+    test('should reject invalid filters', async () => {
+      const response = await getAudit({ actor: 'nope', action: 'explode', from: 'yesterday' }).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_FILTER');
+      expect(response.body.error.details).toHaveLength(3);
+    });
+
+    test('should reject out-of-range pagination', async () => {
+      const response = await getAudit({ page: '0', limit: '500' }).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_FILTER');
+      expect(response.body.error.details).toEqual([
+        'page must be greater than or equal to 1',
+        'limit must be less than or equal to 100'
+      ]);
+    });
+
+    test('should be restricted to admins', async () => {
+      await request(app)
+        .get('/api/audit')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+  });
+});
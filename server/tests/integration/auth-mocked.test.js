@@ -1,5 +1,6 @@
 const request = require('supertest');
 const { app } = require('../../src/index');
+const RefreshToken = require('../../src/models/RefreshToken');
 
 // Import test setup
 require('../integration-mock-setup');
@@ -31,6 +32,11 @@ Object.assign(MockUserConstructor, mockUser);
 
 jest.mock('../../src/models/User', () => MockUserConstructor);
 
+// Logging in and registering also issue a refresh token
+jest.mock('../../src/models/RefreshToken', () => ({
+  issue: jest.fn().mockResolvedValue({ token: 'mock-refresh-token' })
+}));
+
 describe('Auth API Integration Tests (Mocked)', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -45,7 +51,7 @@ describe('Auth API Integration Tests (Mocked)', () => {
       const mockUserInstance = new MockUserConstructor({
         name: 'Test User',
         email: 'test@example.com',
-        password: 'password123'
+        password: 'Secure$Pass1'
       });
 
       const response = await request(app)
@@ -53,7 +59,7 @@ describe('Auth API Integration Tests (Mocked)', () => {
         .send({
           name: 'Test User',
           email: 'test@example.com',
-          password: 'password123'
+          password: 'Secure$Pass1'
         })
         .expect(201);
 
@@ -65,7 +71,8 @@ describe('Auth API Integration Tests (Mocked)', () => {
             name: 'Test User',
             email: 'test@example.com'
           }),
-          token: 'mock-jwt-token'
+          token: 'mock-jwt-token',
+          refreshToken: 'mock-refresh-token'
         },
         timestamp: expect.any(String)
       });
@@ -84,7 +91,7 @@ describe('Auth API Integration Tests (Mocked)', () => {
         .send({
           name: 'Test User',
           email: 'test@example.com',
-          password: 'password123'
+          password: 'Secure$Pass1'
         })
         .expect(400);
 
@@ -132,7 +139,7 @@ describe('Auth API Integration Tests (Mocked)', () => {
         .post('/api/auth/login')
         .send({
           email: 'test@example.com',
-          password: 'password123'
+          password: 'Secure$Pass1'
         })
         .expect(200);
 
@@ -144,12 +151,14 @@ describe('Auth API Integration Tests (Mocked)', () => {
             email: 'test@example.com',
             name: 'Test User'
           }),
-          token: 'mock-jwt-token'
+          token: 'mock-jwt-token',
+          refreshToken: 'mock-refresh-token'
         },
         timestamp: expect.any(String)
       });
 
       expect(mockUser.save).toHaveBeenCalled();
+      expect(RefreshToken.issue).toHaveBeenCalledWith(mockUser, expect.objectContaining({ ip: expect.any(String) }));
     });
 
     test('should reject login with invalid credentials', async () => {
@@ -187,7 +196,7 @@ describe('Auth API Integration Tests (Mocked)', () => {
         error: {
           message: 'Please provide email and password',
           code: 'MISSING_CREDENTIALS',
-          details: [],
+          details: ['Email is required', 'Password is required'],
           timestamp: expect.any(String)
         }
       });
@@ -7,7 +7,7 @@ describe('Auth Integration Tests', () => {
     const validUserData = {
       name: 'John Doe',
       email: 'john@example.com',
-      password: 'password123'
+      password: 'Secure$Pass1'
     };
 
     test('should register a new user successfully', async () => {
@@ -26,11 +26,14 @@ describe('Auth Integration Tests', () => {
             email: validUserData.email,
             role: 'user',
             isActive: true,
+            emailVerified: false,
+            twoFactorEnabled: false,
             createdAt: expect.any(String),
             updatedAt: expect.any(String),
             __v: expect.any(Number)
           },
-          token: expect.any(String)
+          token: expect.any(String),
+          refreshToken: expect.any(String)
         },
         timestamp: expect.any(String)
       });
@@ -42,6 +45,16 @@ describe('Auth Integration Tests', () => {
       expect(user.password).not.toBe(validUserData.password); // Should be hashed
     });
 
+    test('should ignore fields outside the schema', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...validUserData, role: 'admin', emailVerified: true })
+        .expect(201);
+
+      expect(response.body.data.user.role).toBe('user');
+      expect(response.body.data.user.emailVerified).toBe(false);
+    });
+
     test('should not register user with existing email', async () => {
       // First registration
       await request(app)
@@ -109,11 +122,30 @@ describe('Auth Integration Tests', () => {
 
       expect(response.body.error.details).toEqual(
         expect.arrayContaining([
-          expect.stringContaining('at least 6 characters')
+          expect.stringContaining('at least 8 characters')
         ])
       );
     });
 
+    test('should enforce the password policy', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...validUserData, password: 'Password123!' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('WEAK_PASSWORD');
+      expect(response.body.error.details).toEqual(['Password is too common']);
+    });
+
+    test('should reject passwords containing the name', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ ...validUserData, password: `${validUserData.name.split(' ')[0]}$Pass1` })
+        .expect(400);
+
+      expect(response.body.error.details).toEqual(['Password must not contain your name or email']);
+    });
+
     test('should validate name length', async () => {
       const response = await request(app)
         .post('/api/auth/register')
@@ -135,7 +167,7 @@ describe('Auth Integration Tests', () => {
     const userData = {
       name: 'Jane Doe',
       email: 'jane@example.com',
-      password: 'password123'
+      password: 'Secure$Pass1'
     };
 
     beforeEach(async () => {
@@ -164,12 +196,15 @@ describe('Auth Integration Tests', () => {
             email: userData.email,
             role: 'user',
             isActive: true,
+            emailVerified: false,
+            twoFactorEnabled: false,
             lastLogin: expect.any(String),
             createdAt: expect.any(String),
             updatedAt: expect.any(String),
             __v: expect.any(Number)
           },
-          token: expect.any(String)
+          token: expect.any(String),
+          refreshToken: expect.any(String)
         },
         timestamp: expect.any(String)
       });
@@ -254,7 +289,7 @@ describe('Auth Integration Tests', () => {
     const userData = {
       name: 'Auth User',
       email: 'auth@example.com',
-      password: 'password123'
+      password: 'Secure$Pass1'
     };
 
     beforeEach(async () => {
@@ -282,6 +317,8 @@ describe('Auth Integration Tests', () => {
           email: userData.email,
           role: 'user',
           isActive: true,
+          emailVerified: false,
+          twoFactorEnabled: false,
           createdAt: expect.any(String),
           updatedAt: expect.any(String),
           __v: expect.any(Number)
@@ -322,7 +359,7 @@ describe('Auth Integration Tests', () => {
     const userData = {
       name: 'Update User',
       email: 'update@example.com',
-      password: 'password123'
+      password: 'Secure$Pass1'
     };
 
     beforeEach(async () => {
@@ -393,7 +430,7 @@ describe('Auth Integration Tests', () => {
     const userData = {
       name: 'Password User',
       email: 'password@example.com',
-      password: 'oldpassword123'
+      password: 'Former$Pass0'
     };
 
     beforeEach(async () => {
@@ -410,7 +447,7 @@ describe('Auth Integration Tests', () => {
         .set('Authorization', `Bearer ${authToken}`)
         .send({
           currentPassword: userData.password,
-          newPassword: 'newpassword123'
+          newPassword: 'Fresh$Pass2'
         })
         .expect(200);
 
@@ -421,7 +458,7 @@ describe('Auth Integration Tests', () => {
         .post('/api/auth/login')
         .send({
           email: userData.email,
-          password: 'newpassword123'
+          password: 'Fresh$Pass2'
         })
         .expect(200);
 
@@ -435,13 +472,71 @@ describe('Auth Integration Tests', () => {
         .expect(401);
     });
 
+    test('should reject a new password that breaks the policy', async () => {
+      const response = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          currentPassword: userData.password,
+          newPassword: 'weakpass'
+        })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('WEAK_PASSWORD');
+    });
+
+    test('should reject the current password as the new one', async () => {
+      const response = await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          currentPassword: userData.password,
+          newPassword: userData.password
+        })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('PASSWORD_REUSED');
+    });
+
+    test('should reject recently used passwords', async () => {
+      const change = (currentPassword, newPassword) => request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword, newPassword });
+
+      await change(userData.password, 'Fresh$Pass2').expect(200);
+      await change('Fresh$Pass2', 'Third$Pass3').expect(200);
+
+      const response = await change('Third$Pass3', userData.password).expect(400);
+      expect(response.body.error.code).toBe('PASSWORD_REUSED');
+
+      const user = await User.findOne({ email: userData.email }).select('+passwordHistory');
+      expect(user.passwordHistory).toHaveLength(2);
+    });
+
+    test('should forget passwords beyond the history size', async () => {
+      process.env.PASSWORD_HISTORY_SIZE = '1';
+      const change = (currentPassword, newPassword) => request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ currentPassword, newPassword });
+
+      try {
+        await change(userData.password, 'Fresh$Pass2').expect(200);
+        await change('Fresh$Pass2', 'Third$Pass3').expect(200);
+        await change('Third$Pass3', userData.password).expect(200);
+      } finally {
+        delete process.env.PASSWORD_HISTORY_SIZE;
+      }
+    });
+
     test('should reject with incorrect current password', async () => {
       const response = await request(app)
         .put('/api/auth/change-password')
         .set('Authorization', `Bearer ${authToken}`)
         .send({
           currentPassword: 'wrongpassword',
-          newPassword: 'newpassword123'
+          newPassword: 'Fresh$Pass2'
         })
         .expect(400);
 
@@ -463,7 +558,7 @@ describe('Auth Integration Tests', () => {
         .put('/api/auth/change-password')
         .send({
           currentPassword: userData.password,
-          newPassword: 'newpassword123'
+          newPassword: 'Fresh$Pass2'
         })
         .expect(401);
 
@@ -471,8 +566,86 @@ describe('Auth Integration Tests', () => {
     });
   });
 
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Refresh User',
+          email: 'refresh@example.com',
+          password: 'Secure$Pass1'
+        });
+
+      refreshToken = registerResponse.body.data.refreshToken;
+    });
+
+    test('should issue a new token pair for a valid refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      expect(response.body.message).toBe('Token refreshed successfully');
+      expect(response.body.data).toEqual({
+        token: expect.any(String),
+        refreshToken: expect.any(String)
+      });
+      expect(response.body.data.refreshToken).not.toBe(refreshToken);
+
+      // New access token should be usable
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    test('should revoke the whole token family when a token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+
+      // Replaying the original token is treated as theft
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+
+      expect(reuse.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+
+      // The legitimately rotated token is revoked as well
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: first.body.data.refreshToken })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+    });
+
+    test('should reject an unknown refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: 'not-a-real-token' })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_REFRESH_TOKEN');
+    });
+
+    test('should reject a missing refresh token', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_REFRESH_TOKEN');
+    });
+  });
+
   describe('POST /api/auth/logout', () => {
     let authToken;
+    let refreshToken;
 
     beforeEach(async () => {
       const registerResponse = await request(app)
@@ -480,10 +653,11 @@ describe('Auth Integration Tests', () => {
         .send({
           name: 'Logout User',
           email: 'logout@example.com',
-          password: 'password123'
+          password: 'Secure$Pass1'
         });
 
       authToken = registerResponse.body.data.token;
+      refreshToken = registerResponse.body.data.refreshToken;
     });
 
     test('should logout successfully', async () => {
@@ -495,6 +669,33 @@ describe('Auth Integration Tests', () => {
       expect(response.body.message).toBe('Logged out successfully');
     });
 
+    test('should revoke the access token', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(401);
+
+      expect(response.body.error.code).toBe('TOKEN_REVOKED');
+    });
+
+    test('should revoke the supplied refresh token', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(401);
+    });
+
     test('should require authentication', async () => {
       const response = await request(app)
         .post('/api/auth/logout')
@@ -504,6 +705,50 @@ describe('Auth Integration Tests', () => {
     });
   });
 
+  describe('POST /api/auth/logout-all', () => {
+    const credentials = {
+      email: 'everywhere@example.com',
+      password: 'Secure$Pass1'
+    };
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Everywhere User', ...credentials });
+    });
+
+    test('should invalidate every session of the user', async () => {
+      const first = await request(app).post('/api/auth/login').send(credentials);
+      const second = await request(app).post('/api/auth/login').send(credentials);
+
+      // No wait: tokens issued in the same second as the logout are rejected too
+      await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${first.body.data.token}`)
+        .expect(200);
+
+      for (const session of [first, second]) {
+        const me = await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', `Bearer ${session.body.data.token}`)
+          .expect(401);
+        expect(me.body.error.code).toBe('TOKEN_REVOKED');
+
+        await request(app)
+          .post('/api/auth/refresh')
+          .send({ refreshToken: session.body.data.refreshToken })
+          .expect(401);
+      }
+
+      // Logging in again still works
+      const fresh = await request(app).post('/api/auth/login').send(credentials);
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${fresh.body.data.token}`)
+        .expect(200);
+    });
+  });
+
   describe('GET /api/health', () => {
     test('should return health status', async () => {
       const response = await request(app)
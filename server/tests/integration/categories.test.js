@@ -0,0 +1,176 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Category Integration Tests', () => {
+  let moderatorToken;
+  let userToken;
+  let userId;
+
+  beforeEach(async () => {
+    const moderator = await User.create({
+      name: 'Moderator',
+      email: 'moderator@example.com',
+      password: 'Secure$Pass1',
+      role: 'moderator'
+    });
+    moderatorToken = generateToken(moderator);
+
+    const user = await User.create({
+      name: 'Writer',
+      email: 'writer@example.com',
+      password: 'Secure$Pass1'
+    });
+    userId = user._id;
+    userToken = generateToken(user);
+  });
+
+  describe('POST /api/categories', () => {
+    test('should create a category with a slug', async () => {
+      const response = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ name: 'Web Development', description: 'All things web' })
+        .expect(201);
+
+      expect(response.body).toMatchObject({
+        name: 'Web Development',
+        slug: 'web-development',
+        description: 'All things web'
+      });
+    });
+
+    test('should reject duplicate slugs', async () => {
+      await Category.create({ name: 'Node.js' });
+
+      const response = await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ name: 'NodeJS' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('DUPLICATE_ERROR');
+    });
+
+    test('should be restricted to admins and moderators', async () => {
+      await request(app)
+        .post('/api/categories')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Sneaky' })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/categories', () => {
+    test('should include post counts', async () => {
+      const [news, empty] = await Category.create([{ name: 'News' }, { name: 'Empty' }]);
+      await Post.create([
+        { title: 'First', content: 'One', author: userId, category: news._id },
+        { title: 'Second', content: 'Two', author: userId, category: news._id }
+      ]);
+
+      const response = await request(app)
+        .get('/api/categories')
+        .expect(200);
+
+      expect(response.body).toEqual([
+        expect.objectContaining({ _id: empty._id.toString(), postCount: 0 }),
+        expect.objectContaining({ _id: news._id.toString(), postCount: 2 })
+      ]);
+    });
+
+    test('should only count posts the caller can see', async () => {
+      const category = await Category.create({ name: 'Mixed' });
+      await Post.create([
+        { title: 'Live', content: 'One', author: userId, category: category._id },
+        { title: 'Draft', content: 'Two', author: userId, category: category._id, status: 'draft' },
+        { title: 'Archived', content: 'Three', author: userId, category: category._id, status: 'archived' }
+      ]);
+
+      const anonymous = await request(app).get('/api/categories').expect(200);
+      expect(anonymous.body[0].postCount).toBe(1);
+
+      const single = await request(app).get(`/api/categories/${category._id}`).expect(200);
+      expect(single.body.postCount).toBe(1);
+
+      const author = await request(app)
+        .get(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(author.body.postCount).toBe(3);
+
+      const authorList = await request(app)
+        .get('/api/categories')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(200);
+      expect(authorList.body[0].postCount).toBe(3);
+
+      const moderator = await request(app)
+        .get('/api/categories')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+      expect(moderator.body[0].postCount).toBe(3);
+    });
+
+    test('should return a single category with its count', async () => {
+      const category = await Category.create({ name: 'Solo' });
+
+      const response = await request(app)
+        .get(`/api/categories/${category._id}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ name: 'Solo', slug: 'solo', postCount: 0 });
+    });
+
+    test('should return 404 for unknown categories', async () => {
+      const response = await request(app)
+        .get('/api/categories/507f1f77bcf86cd799439011')
+        .expect(404);
+
+      expect(response.body.error.code).toBe('CATEGORY_NOT_FOUND');
+    });
+  });
+
+  describe('PUT /api/categories/:id', () => {
+    test('should rename the category and its slug', async () => {
+      const category = await Category.create({ name: 'Old Name' });
+
+      const response = await request(app)
+        .put(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ name: 'New Name' })
+        .expect(200);
+
+      expect(response.body.slug).toBe('new-name');
+    });
+  });
+
+  describe('DELETE /api/categories/:id', () => {
+    test('should delete an empty category', async () => {
+      const category = await Category.create({ name: 'Unused' });
+
+      await request(app)
+        .delete(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(await Category.findById(category._id)).toBeNull();
+    });
+
+    test('should refuse to delete a category with posts', async () => {
+      const category = await Category.create({ name: 'Busy' });
+      await Post.create({ title: 'Post', content: 'Content', author: userId, category: category._id });
+
+      const response = await request(app)
+        .delete(`/api/categories/${category._id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('CATEGORY_HAS_POSTS');
+      expect(await Category.findById(category._id)).not.toBeNull();
+    });
+  });
+});
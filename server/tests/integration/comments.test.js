@@ -0,0 +1,277 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../../src/app');
+const Comment = require('../../src/models/Comment');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Comment Integration Tests', () => {
+  let authorToken;
+  let otherToken;
+  let moderatorToken;
+  let postId;
+  let ownerId;
+
+  const createUser = async (name, email, role = 'user') => {
+    const user = await User.create({ name, email, password: 'Secure$Pass1', role });
+    return generateToken(user);
+  };
+
+  beforeEach(async () => {
+    authorToken = await createUser('Commenter', 'commenter@example.com');
+    otherToken = await createUser('Other', 'other@example.com');
+    moderatorToken = await createUser('Moderator', 'moderator@example.com', 'moderator');
+
+    const owner = await User.findOne({ email: 'other@example.com' });
+    ownerId = owner._id;
+    const post = await Post.create({ title: 'Discussed', content: 'Talk about it', author: ownerId });
+    postId = post._id;
+  });
+
+  const comment = (body, token = authorToken) => request(app)
+    .post(`/api/posts/${postId}/comments`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  describe('POST /api/posts/:id/comments', () => {
+    test('should add a top-level comment', async () => {
+      const response = await comment({ content: 'First!' }).expect(201);
+
+      expect(response.body).toMatchObject({
+        post: postId.toString(),
+        parent: null,
+        depth: 0,
+        content: 'First!',
+        status: 'visible'
+      });
+    });
+
+    test('should add replies', async () => {
+      const parent = await comment({ content: 'Question?' });
+
+      const response = await comment({ content: 'Answer.', parent: parent.body._id }, otherToken)
+        .expect(201);
+
+      expect(response.body.parent).toBe(parent.body._id);
+      expect(response.body.depth).toBe(1);
+    });
+
+    test('should reject replies to comments on other posts', async () => {
+      const otherPost = await Post.create({ title: 'Elsewhere', content: 'Other', author: ownerId });
+      const foreign = await Comment.create({ post: otherPost._id, author: ownerId, content: 'Elsewhere' });
+
+      const response = await comment({ content: 'Reply', parent: foreign._id }).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_PARENT');
+    });
+
+    test('should limit nesting depth', async () => {
+      process.env.COMMENT_MAX_DEPTH = '1';
+      const root = await comment({ content: 'Root' });
+      const reply = await comment({ content: 'Reply', parent: root.body._id });
+
+      const response = await comment({ content: 'Too deep', parent: reply.body._id }).expect(400);
+
+      expect(response.body.error.code).toBe('MAX_DEPTH_EXCEEDED');
+      delete process.env.COMMENT_MAX_DEPTH;
+    });
+
+    test('should require content and authentication', async () => {
+      await comment({}).expect(400);
+      await request(app)
+        .post(`/api/posts/${postId}/comments`)
+        .send({ content: 'Anonymous' })
+        .expect(401);
+    });
+
+    test('should return 404 for unknown posts', async () => {
+      const response = await request(app)
+        .post('/api/posts/507f1f77bcf86cd799439011/comments')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: 'Hello?' })
+        .expect(404);
+
+      expect(response.body.error.code).toBe('POST_NOT_FOUND');
+    });
+  });
+
+  describe('unpublished posts', () => {
+    beforeEach(async () => {
+      await Post.updateOne({ _id: postId }, { status: 'draft' });
+    });
+
+    const getComments = (token) => {
+      const req = request(app).get(`/api/posts/${postId}/comments`);
+      return token ? req.set('Authorization', `Bearer ${token}`) : req;
+    };
+
+    test('should hide comments from anyone who cannot see the post', async () => {
+      const anonymous = await getComments().expect(404);
+      expect(anonymous.body.error.code).toBe('POST_NOT_FOUND');
+
+      await getComments(authorToken).expect(404);
+    });
+
+    test('should show comments to the post author and moderators', async () => {
+      await getComments(otherToken).expect(200);
+      await getComments(moderatorToken).expect(200);
+    });
+
+    test('should not accept comments from anyone who cannot see the post', async () => {
+      const response = await comment({ content: 'Sneaky' }).expect(404);
+
+      expect(response.body.error.code).toBe('POST_NOT_FOUND');
+      expect(await Comment.countDocuments({ post: postId })).toBe(0);
+    });
+
+    test('should accept comments from the post author', async () => {
+      await comment({ content: 'Note to self' }, otherToken).expect(201);
+    });
+
+    test('should not let anyone who cannot see the post change its comments', async () => {
+      const commenter = await User.findOne({ email: 'commenter@example.com' });
+      const existing = await Comment.create({ post: postId, author: commenter._id, content: 'Before the unpublish' });
+      const url = `/api/posts/${postId}/comments/${existing._id}`;
+
+      await request(app)
+        .put(url)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: 'Changed' })
+        .expect(404);
+      await request(app)
+        .delete(url)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(404);
+
+      const unchanged = await Comment.findById(existing._id);
+      expect(unchanged).toMatchObject({ content: 'Before the unpublish', status: 'visible' });
+
+      // Moderators still see the post and can remove the comment
+      await request(app)
+        .delete(url)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('GET /api/posts/:id/comments', () => {
+    test('should return the thread with nested replies', async () => {
+      const root = await comment({ content: 'Root' });
+      await comment({ content: 'Reply', parent: root.body._id }, otherToken);
+      await comment({ content: 'Second root' });
+
+      const response = await request(app)
+        .get(`/api/posts/${postId}/comments`)
+        .expect(200);
+
+      expect(response.body).toHaveLength(2);
+      expect(response.body[0].content).toBe('Root');
+      expect(response.body[0].author.name).toBe('Commenter');
+      expect(response.body[0].replies[0].content).toBe('Reply');
+      expect(response.body[1].replies).toEqual([]);
+    });
+  });
+
+  describe('PUT /api/posts/:id/comments/:commentId', () => {
+    test('should let the author edit within the window', async () => {
+      const created = await comment({ content: 'Typo' });
+
+      const response = await request(app)
+        .put(`/api/posts/${postId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: 'Fixed' })
+        .expect(200);
+
+      expect(response.body.content).toBe('Fixed');
+      expect(response.body.editedAt).toBeDefined();
+    });
+
+    test('should refuse edits after the window', async () => {
+      const created = await comment({ content: 'Old' });
+      // createdAt is immutable through the model, so age it directly
+      await Comment.collection.updateOne(
+        { _id: new mongoose.Types.ObjectId(created.body._id) },
+        { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } }
+      );
+
+      const response = await request(app)
+        .put(`/api/posts/${postId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ content: 'Too late' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('EDIT_WINDOW_EXPIRED');
+    });
+
+    test('should not let others edit, not even moderators', async () => {
+      const created = await comment({ content: 'Mine' });
+
+      await request(app)
+        .put(`/api/posts/${postId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .send({ content: 'Changed' })
+        .expect(403);
+    });
+  });
+
+  describe('DELETE /api/posts/:id/comments/:commentId', () => {
+    test('should soft delete and keep replies in the thread', async () => {
+      const root = await comment({ content: 'Root' });
+      await comment({ content: 'Reply', parent: root.body._id }, otherToken);
+
+      const response = await request(app)
+        .delete(`/api/posts/${postId}/comments/${root.body._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(response.body.status).toBe('deleted');
+
+      const thread = await request(app).get(`/api/posts/${postId}/comments`);
+      expect(thread.body[0]).toMatchObject({ status: 'deleted', content: null, author: null });
+      expect(thread.body[0].replies[0].content).toBe('Reply');
+    });
+
+    test('should let moderators remove comments', async () => {
+      const created = await comment({ content: 'Spam' });
+
+      const response = await request(app)
+        .delete(`/api/posts/${postId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(response.body.status).toBe('removed');
+    });
+
+    test('should not let other users delete', async () => {
+      const created = await comment({ content: 'Mine' });
+
+      await request(app)
+        .delete(`/api/posts/${postId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+    });
+
+    test('should not allow replies to deleted comments', async () => {
+      const created = await comment({ content: 'Gone soon' });
+      await request(app)
+        .delete(`/api/posts/${postId}/comments/${created.body._id}`)
+        .set('Authorization', `Bearer ${authorToken}`);
+
+      const response = await comment({ content: 'Reply', parent: created.body._id }).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_PARENT');
+    });
+  });
+
+  test('should delete comments along with their post', async () => {
+    await comment({ content: 'Orphan to be' });
+
+    await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .expect(200);
+
+    expect(await Comment.countDocuments({ post: postId })).toBe(0);
+  });
+});
@@ -0,0 +1,261 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { transports } = require('../../src/utils/mailer');
+const { generateToken } = require('../../src/utils/auth');
+
+const outbox = () => transports.memory.outbox;
+
+// Pull the verification token out of the link in the last email sent
+const lastVerificationToken = () => {
+  const message = outbox()[outbox().length - 1];
+  return message.text.match(/verify-email\/(\S+)/)[1];
+};
+
+describe('Email Verification Integration Tests', () => {
+  const userData = {
+    name: 'Verify User',
+    email: 'verify@example.com',
+    password: 'Secure$Pass1'
+  };
+
+  beforeEach(() => {
+    transports.memory.clear();
+  });
+
+  afterEach(() => {
+    delete process.env.EMAIL_VERIFICATION_POLICY;
+  });
+
+  describe('POST /api/auth/register', () => {
+    test('should send a verification link', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(userData)
+        .expect(201);
+
+      expect(response.body.data.user.emailVerified).toBe(false);
+      expect(outbox()).toHaveLength(1);
+      expect(outbox()[0].to).toBe(userData.email);
+      expect(outbox()[0].subject).toBe('Verify your email address');
+    });
+
+    test('should not start a session when verification is mandatory', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'block';
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send(userData)
+        .expect(201);
+
+      expect(response.body.data.user.email).toBe(userData.email);
+      expect(response.body.data.token).toBeUndefined();
+      expect(response.body.data.refreshToken).toBeUndefined();
+    });
+  });
+
+  describe('GET /api/auth/verify-email/:token', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send(userData);
+    });
+
+    test('should verify the email address', async () => {
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${lastVerificationToken()}`)
+        .expect(200);
+
+      expect(response.body.message).toBe('Email verified successfully');
+      expect(response.body.data.emailVerified).toBe(true);
+
+      const user = await User.findOne({ email: userData.email });
+      expect(user.emailVerified).toBe(true);
+    });
+
+    test('should reject tampered tokens', async () => {
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${lastVerificationToken()}x`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_VERIFICATION_TOKEN');
+    });
+
+    test('should not accept access tokens as verification tokens', async () => {
+      const user = await User.findOne({ email: userData.email });
+
+      await request(app)
+        .get(`/api/auth/verify-email/${generateToken(user)}`)
+        .expect(400);
+    });
+
+    test('should reject links sent to a previous email address', async () => {
+      const staleToken = lastVerificationToken();
+      await User.updateOne({ email: userData.email }, { email: 'changed@example.com' });
+
+      const response = await request(app)
+        .get(`/api/auth/verify-email/${staleToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_VERIFICATION_TOKEN');
+    });
+  });
+
+  describe('POST /api/auth/resend-verification', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send(userData);
+      transports.memory.clear();
+    });
+
+    test('should resend the link to unverified accounts', async () => {
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: userData.email })
+        .expect(200);
+
+      expect(outbox()).toHaveLength(1);
+    });
+
+    test('should not send anything for unknown or verified accounts', async () => {
+      await User.updateOne({ email: userData.email }, { emailVerified: true });
+
+      const verified = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: userData.email })
+        .expect(200);
+
+      const unknown = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(verified.body.message).toBe(unknown.body.message);
+      expect(outbox()).toHaveLength(0);
+    });
+
+    test('should require an email', async () => {
+      const response = await request(app)
+        .post('/api/auth/resend-verification')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_EMAIL');
+    });
+  });
+
+  describe('verification policy', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send(userData);
+    });
+
+    test('should block login for unverified accounts when mandatory', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'block';
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    test('should allow login once verified', async () => {
+      await request(app).get(`/api/auth/verify-email/${lastVerificationToken()}`);
+      process.env.EMAIL_VERIFICATION_POLICY = 'block';
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.data.token}`)
+        .expect(200);
+    });
+
+    test('should let unverified users sign in but not write when limited', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'limit';
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(200);
+      const token = login.body.data.token;
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      // The profile stays editable so a mistyped address can be fixed
+      await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Renamed User' })
+        .expect(200);
+
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(403);
+      expect(setup.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+
+      const post = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ title: 'Draft', content: 'Content' })
+        .expect(403);
+      expect(post.body.error.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    test('should lift the limit once verified', async () => {
+      await request(app).get(`/api/auth/verify-email/${lastVerificationToken()}`);
+      process.env.EMAIL_VERIFICATION_POLICY = 'limit';
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password });
+
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(200);
+    });
+
+    test('should not limit anything when the policy is off', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'off';
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password });
+
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(200);
+    });
+
+    test('should reset verification when the email changes', async () => {
+      await request(app).get(`/api/auth/verify-email/${lastVerificationToken()}`);
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password });
+      transports.memory.clear();
+
+      const response = await request(app)
+        .put('/api/auth/me')
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .send({ email: 'new-address@example.com' })
+        .expect(200);
+
+      expect(response.body.data.emailVerified).toBe(false);
+      expect(outbox()).toHaveLength(1);
+      expect(outbox()[0].to).toBe('new-address@example.com');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+
+describe('Account Lockout Integration Tests', () => {
+  const userData = {
+    name: 'Target User',
+    email: 'target@example.com',
+    password: 'Secure$Pass1'
+  };
+
+  const failLogin = () => request(app)
+    .post('/api/auth/login')
+    .send({ email: userData.email, password: 'wrongpassword' });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send(userData);
+  });
+
+  test('should lock the account after 5 failed attempts', async () => {
+    for (let i = 0; i < 4; i++) {
+      const response = await failLogin();
+      expect(response.status).toBe(401);
+    }
+
+    const response = await failLogin().expect(423);
+
+    expect(response.body.error.code).toBe('ACCOUNT_LOCKED');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(14 * 60);
+
+    const user = await User.findOne({ email: userData.email });
+    expect(user.lockUntil.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('should reject the correct password while locked', async () => {
+    for (let i = 0; i < 5; i++) {
+      await failLogin();
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: userData.email, password: userData.password })
+      .expect(423);
+
+    expect(response.body.error.code).toBe('ACCOUNT_LOCKED');
+  });
+
+  test('should double the lockout on repeated lockouts', async () => {
+    await User.updateOne(
+      { email: userData.email },
+      { lockoutCount: 1, failedLoginAttempts: 4 }
+    );
+
+    const response = await failLogin().expect(423);
+
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(29 * 60);
+  });
+
+  test('should allow login again once the lock expires', async () => {
+    await User.updateOne(
+      { email: userData.email },
+      { lockUntil: new Date(Date.now() - 1000), lockoutCount: 1 }
+    );
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: userData.email, password: userData.password })
+      .expect(200);
+
+    const user = await User.findOne({ email: userData.email });
+    expect(user.lockoutCount).toBe(0);
+    expect(user.lockUntil).toBeUndefined();
+  });
+
+  test('should reset the counter after a successful login', async () => {
+    await failLogin();
+    await failLogin();
+
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: userData.email, password: userData.password })
+      .expect(200);
+
+    const user = await User.findOne({ email: userData.email });
+    expect(user.failedLoginAttempts).toBe(0);
+  });
+
+  describe('POST /api/auth/users/:id/unlock', () => {
+    let adminToken;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Admin User', email: 'admin@example.com', password: 'Secure$Pass1' });
+      await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'admin@example.com', password: 'Secure$Pass1' });
+      adminToken = login.body.data.token;
+    });
+
+    test('should let an admin unlock an account', async () => {
+      for (let i = 0; i < 5; i++) {
+        await failLogin();
+      }
+      const user = await User.findOne({ email: userData.email });
+
+      await request(app)
+        .post(`/api/auth/users/${user._id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(200);
+    });
+
+    test('should return 404 for unknown users', async () => {
+      const response = await request(app)
+        .post('/api/auth/users/507f1f77bcf86cd799439011/unlock')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('USER_NOT_FOUND');
+    });
+
+    test('should be restricted to admins', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password });
+      const user = await User.findOne({ email: userData.email });
+
+      await request(app)
+        .post(`/api/auth/users/${user._id}/unlock`)
+        .set('Authorization', `Bearer ${login.body.data.token}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const LoginThrottle = require('../../src/models/LoginThrottle');
+const User = require('../../src/models/User');
+
+describe('Login Throttling Integration Tests', () => {
+  const userData = {
+    name: 'Target User',
+    email: 'target@example.com',
+    password: 'Secure$Pass1'
+  };
+
+  const login = (email, password = 'Wrong$Pass1') => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  const forgotPassword = (email) => request(app)
+    .post('/api/auth/forgot-password')
+    .send({ email });
+
+  beforeEach(async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send(userData);
+
+    process.env.LOGIN_THROTTLE_ENABLED = 'true';
+  });
+
+  afterEach(() => {
+    delete process.env.LOGIN_THROTTLE_ENABLED;
+    delete process.env.RATE_LIMIT_ENABLED;
+    delete process.env.LOGIN_THROTTLE_BASE_DELAY_MS;
+  });
+
+  describe('POST /api/auth/login', () => {
+    test('should delay attempts after the free ones', async () => {
+      for (let i = 0; i < 4; i++) {
+        await login(userData.email).expect(401);
+      }
+
+      const response = await login(userData.email).expect(429);
+
+      expect(response.body.error.code).toBe('TOO_MANY_ATTEMPTS');
+      expect(response.headers['retry-after']).toBe('1');
+    });
+
+    test('should not check the password while throttled', async () => {
+      for (let i = 0; i < 4; i++) {
+        await login(userData.email);
+      }
+
+      await login(userData.email, userData.password).expect(429);
+    });
+
+    test('should respond the same for unknown emails', async () => {
+      for (let i = 0; i < 4; i++) {
+        await login(userData.email);
+        await login('nobody@example.com');
+      }
+
+      const known = await login(userData.email).expect(429);
+      const unknown = await login('nobody@example.com').expect(429);
+
+      expect(unknown.body.error).toEqual({ ...known.body.error, timestamp: expect.any(String) });
+      expect(unknown.headers['retry-after']).toBe(known.headers['retry-after']);
+    });
+
+    test('should share the counter between variants of the email', async () => {
+      await login('Target@Example.com');
+      await login(' target@example.com ');
+      await login('TARGET@EXAMPLE.COM');
+      await login(userData.email);
+
+      await login(userData.email).expect(429);
+    });
+
+    test('should double the delay on each further failure', async () => {
+      process.env.LOGIN_THROTTLE_BASE_DELAY_MS = '50';
+
+      for (let i = 0; i < 4; i++) {
+        await login('nobody@example.com');
+      }
+      await new Promise(resolve => setTimeout(resolve, 60));
+      await login('nobody@example.com').expect(401);
+
+      const throttle = await LoginThrottle.findOne({});
+      expect(throttle.attempts).toBe(5);
+      expect(throttle.nextAttemptAt.getTime() - Date.now()).toBeGreaterThan(50);
+      expect(throttle.nextAttemptAt.getTime() - Date.now()).toBeLessThanOrEqual(100);
+    });
+
+    test('should clear the counter on a successful login', async () => {
+      for (let i = 0; i < 3; i++) {
+        await login(userData.email);
+      }
+      await login(userData.email, userData.password).expect(200);
+
+      await login(userData.email).expect(401);
+      expect(await LoginThrottle.countDocuments()).toBe(1);
+    });
+
+    test('should never store the email', async () => {
+      await login(userData.email);
+
+      const throttle = await LoginThrottle.findOne({}).lean();
+      expect(JSON.stringify(throttle)).not.toContain('target');
+    });
+
+    test('should stay on when the IP rate limits are disabled', async () => {
+      process.env.RATE_LIMIT_ENABLED = 'false';
+
+      for (let i = 0; i < 4; i++) {
+        await login(userData.email);
+      }
+
+      await login(userData.email).expect(429);
+    });
+  });
+
+  describe('POST /api/auth/users/:id/unlock', () => {
+    test('should clear the counter', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Admin User', email: 'admin@example.com', password: 'Secure$Pass1' });
+      await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+      const admin = await login('admin@example.com', 'Secure$Pass1').expect(200);
+
+      for (let i = 0; i < 4; i++) {
+        await login(userData.email);
+      }
+      await login(userData.email, userData.password).expect(429);
+
+      const user = await User.findOne({ email: userData.email });
+      await request(app)
+        .post(`/api/auth/users/${user._id}/unlock`)
+        .set('Authorization', `Bearer ${admin.body.data.token}`)
+        .expect(200);
+
+      await login(userData.email, userData.password).expect(200);
+    });
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    test('should throttle repeated requests for an email', async () => {
+      for (let i = 0; i < 4; i++) {
+        await forgotPassword(userData.email).expect(200);
+      }
+
+      const response = await forgotPassword(userData.email).expect(429);
+
+      expect(response.body.error.code).toBe('TOO_MANY_ATTEMPTS');
+    });
+
+    test('should respond the same for unknown emails', async () => {
+      for (let i = 0; i < 4; i++) {
+        await forgotPassword('nobody@example.com').expect(200);
+      }
+
+      const response = await forgotPassword('nobody@example.com').expect(429);
+
+      expect(response.body.error.code).toBe('TOO_MANY_ATTEMPTS');
+    });
+
+    test('should not affect login', async () => {
+      for (let i = 0; i < 5; i++) {
+        await forgotPassword(userData.email);
+      }
+
+      await login(userData.email, userData.password).expect(200);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { transports, setTransport } = require('../../src/utils/mailer');
+const logger = require('../../src/utils/logger');
+
+const outbox = () => transports.memory.outbox;
+
+// Pull the reset token out of the link in the last email sent
+const lastResetToken = () => {
+  const message = outbox()[outbox().length - 1];
+  return message.text.match(/reset-password\/([0-9a-f]+)/)[1];
+};
+
+describe('Password Reset Integration Tests', () => {
+  const userData = {
+    name: 'Forgetful User',
+    email: 'forgetful@example.com',
+    password: 'Secure$Pass1'
+  };
+
+  beforeEach(async () => {
+    transports.memory.clear();
+
+    await request(app)
+      .post('/api/auth/register')
+      .send(userData);
+  });
+
+  describe('POST /api/auth/forgot-password', () => {
+    test('should email a reset link to an existing user', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: userData.email })
+        .expect(200);
+
+      expect(response.body.message).toBe(
+        'If an account exists for that email, a password reset link has been sent'
+      );
+      expect(outbox()).toHaveLength(1);
+      expect(outbox()[0].to).toBe(userData.email);
+
+      // Only the hash of the token is stored
+      const user = await User.findOne({ email: userData.email });
+      expect(user.resetPasswordToken).toBeTruthy();
+      expect(user.resetPasswordToken).not.toBe(lastResetToken());
+      expect(user.resetPasswordExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    test('should respond identically for unknown emails', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(200);
+
+      expect(response.body.message).toBe(
+        'If an account exists for that email, a password reset link has been sent'
+      );
+      expect(outbox()).toHaveLength(0);
+    });
+
+    test('should respond identically when the email cannot be sent', async () => {
+      setTransport({ send: jest.fn().mockRejectedValue(new Error('SMTP down')) });
+      const logError = jest.spyOn(logger, 'logError').mockImplementation(() => {});
+
+      try {
+        const response = await request(app)
+          .post('/api/auth/forgot-password')
+          .send({ email: userData.email })
+          .expect(200);
+
+        expect(response.body.message).toBe(
+          'If an account exists for that email, a password reset link has been sent'
+        );
+        expect(logError).toHaveBeenCalled();
+
+        // The unsent token must not stay usable
+        const user = await User.findOne({ email: userData.email });
+        expect(user.resetPasswordToken).toBeUndefined();
+      } finally {
+        setTransport(null);
+        logError.mockRestore();
+      }
+    });
+
+    test('should require an email', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_EMAIL');
+    });
+  });
+
+  describe('POST /api/auth/reset-password/:token', () => {
+    let resetToken;
+
+    beforeEach(async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: userData.email });
+
+      resetToken = lastResetToken();
+    });
+
+    test('should reset the password with a valid token', async () => {
+      await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'Brand$New42' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: 'Brand$New42' })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: userData.email, password: userData.password })
+        .expect(401);
+    });
+
+    test('should enforce the password policy and keep the token usable', async () => {
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'Forgetful$1' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('WEAK_PASSWORD');
+
+      await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'Brand$New42' })
+        .expect(200);
+    });
+
+    test('should not reset to the current password', async () => {
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: userData.password })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('PASSWORD_REUSED');
+    });
+
+    test('should only accept a token once', async () => {
+      await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'Brand$New42' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'Second$Pass3' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    test('should reject expired tokens', async () => {
+      await User.updateOne(
+        { email: userData.email },
+        { resetPasswordExpires: new Date(Date.now() - 1000) }
+      );
+
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({ password: 'Brand$New42' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    test('should reject unknown tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/reset-password/deadbeef')
+        .send({ password: 'Brand$New42' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_RESET_TOKEN');
+    });
+
+    test('should require a new password', async () => {
+      const response = await request(app)
+        .post(`/api/auth/reset-password/${resetToken}`)
+        .send({})
+        .expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_PASSWORD');
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+
+describe('Permission Integration Tests', () => {
+  let moderatorToken;
+  let userId;
+
+  beforeEach(async () => {
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Regular User', email: 'regular@example.com', password: 'Secure$Pass1' });
+    userId = register.body.data.user._id;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Moderator User', email: 'moderator@example.com', password: 'Secure$Pass1' });
+    await User.updateOne({ email: 'moderator@example.com' }, { role: 'moderator' });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'moderator@example.com', password: 'Secure$Pass1' });
+    moderatorToken = login.body.data.token;
+  });
+
+  test('should let moderators list users', async () => {
+    const response = await request(app)
+      .get('/api/auth/users')
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(200);
+
+    expect(response.body.data.users).toHaveLength(2);
+  });
+
+  test('should not let moderators delete users', async () => {
+    const response = await request(app)
+      .delete(`/api/auth/users/${userId}`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(403);
+
+    expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+
+  test('should not let moderators change roles', async () => {
+    await request(app)
+      .patch(`/api/auth/users/${userId}/role`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ role: 'admin' })
+      .expect(403);
+  });
+});
@@ -0,0 +1,160 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+const { runScheduledPublishing } = require('../../src/utils/scheduler');
+
+describe('Post Workflow Integration Tests', () => {
+  let authorId;
+  let authorToken;
+  let readerToken;
+  let moderatorToken;
+
+  beforeEach(async () => {
+    const author = await User.create({ name: 'Author', email: 'author@example.com', password: 'Secure$Pass1' });
+    const reader = await User.create({ name: 'Reader', email: 'reader@example.com', password: 'Secure$Pass1' });
+    const moderator = await User.create({
+      name: 'Moderator',
+      email: 'moderator@example.com',
+      password: 'Secure$Pass1',
+      role: 'moderator'
+    });
+    authorId = author._id;
+    authorToken = generateToken(author);
+    readerToken = generateToken(reader);
+    moderatorToken = generateToken(moderator);
+
+    await Post.create([
+      { title: 'Live', content: 'Published', author: authorId },
+      { title: 'Work in progress', content: 'Draft', author: authorId, status: 'draft' },
+      { title: 'Old news', content: 'Archived', author: authorId, status: 'archived' }
+    ]);
+  });
+
+  const titles = (res) => res.body.map(post => post.title).sort();
+
+  describe('GET /api/posts visibility', () => {
+    test('should only show published posts to anonymous readers', async () => {
+      const res = await request(app).get('/api/posts').expect(200);
+
+      expect(titles(res)).toEqual(['Live']);
+      expect(res.headers['x-total-count']).toBe('1');
+    });
+
+    test('should only show published posts to other users', async () => {
+      const res = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(200);
+
+      expect(titles(res)).toEqual(['Live']);
+    });
+
+    test('should show authors their own posts in every state', async () => {
+      const res = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(titles(res)).toEqual(['Live', 'Old news', 'Work in progress']);
+    });
+
+    test('should let authors filter their posts by state', async () => {
+      const res = await request(app)
+        .get('/api/posts?status=draft')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(titles(res)).toEqual(['Work in progress']);
+
+      const other = await request(app)
+        .get('/api/posts?status=draft')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(200);
+      expect(other.body).toEqual([]);
+    });
+
+    test('should show moderators every post', async () => {
+      const res = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(res.body).toHaveLength(3);
+    });
+
+    test('should hide unpublished posts by id', async () => {
+      const draft = await Post.findOne({ status: 'draft' });
+
+      await request(app).get(`/api/posts/${draft._id}`).expect(404);
+      await request(app)
+        .get(`/api/posts/${draft._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+    });
+
+    test('should reject unknown states', async () => {
+      const res = await request(app).get('/api/posts?status=secret').expect(400);
+
+      expect(res.body.error.code).toBe('INVALID_STATUS');
+    });
+  });
+
+  describe('lifecycle', () => {
+    test('should create drafts and publish them later', async () => {
+      const created = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Later', content: 'Not yet', status: 'draft' })
+        .expect(201);
+
+      expect(created.body.publishedAt).toBeUndefined();
+
+      const published = await request(app)
+        .put(`/api/posts/${created.body._id}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ status: 'published' })
+        .expect(200);
+
+      expect(published.body.status).toBe('published');
+      expect(published.body.publishedAt).toBeDefined();
+    });
+
+    test('should require a future publishAt when scheduling', async () => {
+      const res = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Scheduled', content: 'Soon', status: 'scheduled' })
+        .expect(400);
+
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should publish scheduled posts once they are due', async () => {
+      const publishAt = new Date(Date.now() + 60 * 1000);
+      const created = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'Scheduled', content: 'Soon', status: 'scheduled', publishAt })
+        .expect(201);
+
+      expect(await runScheduledPublishing()).toBe(0);
+
+      // Let the publish time pass
+      await Post.collection.updateOne(
+        { slug: created.body.slug },
+        { $set: { publishAt: new Date(Date.now() - 1000) } }
+      );
+
+      expect(await runScheduledPublishing()).toBe(1);
+
+      const post = await Post.findById(created.body._id);
+      expect(post.status).toBe('published');
+      expect(post.publishedAt).toEqual(post.publishAt);
+
+      const res = await request(app).get('/api/posts');
+      expect(titles(res)).toContain('Scheduled');
+    });
+  });
+});
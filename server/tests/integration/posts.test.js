@@ -2,28 +2,23 @@
 
 const request = require('supertest');
 const mongoose = require('mongoose');
-const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const Post = require('../../src/models/Post');
 const User = require('../../src/models/User');
 const { generateToken } = require('../../src/utils/auth');
 
-let mongoServer;
 let token;
 let userId;
 let postId;
 
-// Setup in-memory MongoDB server before all tests
-beforeAll(async () => {
-  mongoServer = await MongoMemoryServer.create();
-  const mongoUri = mongoServer.getUri();
-  await mongoose.connect(mongoUri);
-
+// The shared integration setup provides the in-memory database and empties
+// every collection after each test, so the fixtures are recreated per test
+beforeEach(async () => {
   // Create a test user
   const user = await User.create({
-    username: 'testuser',
+    name: 'testuser',
     email: 'test@example.com',
-    password: 'password123',
+    password: 'Secure$Pass1',
   });
   userId = user._id;
   token = generateToken(user);
@@ -33,36 +28,18 @@ beforeAll(async () => {
     title: 'Test Post',
     content: 'This is a test post content',
     author: userId,
-    category: mongoose.Types.ObjectId(),
+    category: new mongoose.Types.ObjectId(),
     slug: 'test-post',
   });
   postId = post._id;
 });
 
-// Clean up after all tests
-afterAll(async () => {
-  await mongoose.disconnect();
-  await mongoServer.stop();
-});
-
-// Clean up database between tests
-afterEach(async () => {
-  // Keep the test user and post, but clean up any other created data
-  const collections = mongoose.connection.collections;
-  for (const key in collections) {
-    const collection = collections[key];
-    if (collection.collectionName !== 'users' && collection.collectionName !== 'posts') {
-      await collection.deleteMany({});
-    }
-  }
-});
-
 describe('POST /api/posts', () => {
   it('should create a new post when authenticated', async () => {
     const newPost = {
       title: 'New Test Post',
       content: 'This is a new test post content',
-      category: mongoose.Types.ObjectId().toString(),
+      category: new mongoose.Types.ObjectId().toString(),
     };
 
     const res = await request(app)
@@ -75,13 +52,14 @@ describe('POST /api/posts', () => {
     expect(res.body.title).toBe(newPost.title);
     expect(res.body.content).toBe(newPost.content);
     expect(res.body.author).toBe(userId.toString());
+    expect(res.body.slug).toBe('new-test-post');
   });
 
   it('should return 401 if not authenticated', async () => {
     const newPost = {
       title: 'Unauthorized Post',
       content: 'This should not be created',
-      category: mongoose.Types.ObjectId().toString(),
+      category: new mongoose.Types.ObjectId().toString(),
     };
 
     const res = await request(app)
@@ -95,7 +73,7 @@ describe('POST /api/posts', () => {
     const invalidPost = {
       // Missing title
       content: 'This post is missing a title',
-      category: mongoose.Types.ObjectId().toString(),
+      category: new mongoose.Types.ObjectId().toString(),
     };
 
     const res = await request(app)
@@ -106,6 +84,16 @@ describe('POST /api/posts', () => {
     expect(res.status).toBe(400);
     expect(res.body).toHaveProperty('error');
   });
+
+  it('should reject content over the length limit', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Too long', content: 'x'.repeat(100001) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toContain('Content cannot exceed 100000 characters');
+  });
 });
 
 describe('GET /api/posts', () => {
@@ -118,7 +106,7 @@ describe('GET /api/posts', () => {
   });
 
   it('should filter posts by category', async () => {
-    const categoryId = mongoose.Types.ObjectId().toString();
+    const categoryId = new mongoose.Types.ObjectId().toString();
     
     // Create a post with specific category
     await Post.create({
@@ -146,7 +134,7 @@ describe('GET /api/posts', () => {
         title: `Pagination Post ${i}`,
         content: `Content for pagination test ${i}`,
         author: userId,
-        category: mongoose.Types.ObjectId(),
+        category: new mongoose.Types.ObjectId(),
         slug: `pagination-post-${i}`,
       });
     }
@@ -163,6 +151,7 @@ describe('GET /api/posts', () => {
     expect(page1.body.length).toBe(10);
     expect(page2.body.length).toBeGreaterThan(0);
     expect(page1.body[0]._id).not.toBe(page2.body[0]._id);
+    expect(page1.headers['x-total-count']).toBe('16');
   });
 });
 
@@ -177,7 +166,7 @@ describe('GET /api/posts/:id', () => {
   });
 
   it('should return 404 for non-existent post', async () => {
-    const nonExistentId = mongoose.Types.ObjectId();
+    const nonExistentId = new mongoose.Types.ObjectId();
     const res = await request(app)
       .get(`/api/posts/${nonExistentId}`);
 
@@ -217,9 +206,9 @@ describe('PUT /api/posts/:id', () => {
   it('should return 403 if not the author', async () => {
     // Create another user
     const anotherUser = await User.create({
-      username: 'anotheruser',
+      name: 'anotheruser',
       email: 'another@example.com',
-      password: 'password123',
+      password: 'Secure$Pass1',
     });
     const anotherToken = generateToken(anotherUser);
 
@@ -255,4 +244,136 @@ describe('DELETE /api/posts/:id', () => {
 
     expect(res.status).toBe(401);
   });
-}); 
\ No newline at end of file
+});
+
+describe('moderation', () => {
+  let moderatorToken;
+
+  beforeEach(async () => {
+    const moderator = await User.create({
+      name: 'moderator',
+      email: 'moderator@example.com',
+      password: 'Secure$Pass1',
+      role: 'moderator',
+    });
+    moderatorToken = generateToken(moderator);
+  });
+
+  it('should let a moderator delete any post', async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Post.findById(postId)).toBeNull();
+  });
+
+  it('should not let a moderator edit someone else\'s post', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ title: 'Moderated' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('slugs', () => {
+  const createPost = (title) => request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ title, content: 'Slug test content' });
+
+  it('should transliterate titles and suffix collisions', async () => {
+    const first = await createPost('Crème Brûlée');
+    const second = await createPost('Creme Brulee');
+
+    expect(first.body.slug).toBe('creme-brulee');
+    expect(second.body.slug).toBe('creme-brulee-2');
+  });
+
+  it('should find a post by slug', async () => {
+    const res = await request(app).get('/api/posts/slug/test-post');
+
+    expect(res.status).toBe(200);
+    expect(res.body._id).toBe(postId.toString());
+  });
+
+  it('should regenerate the slug when the title changes', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Renamed Post' });
+
+    expect(res.body.slug).toBe('renamed-post');
+    expect(res.body.slugHistory).toEqual(['test-post']);
+  });
+
+  it('should redirect old slugs to the current one', async () => {
+    await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Renamed Post' });
+
+    const res = await request(app).get('/api/posts/slug/test-post');
+
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/posts/slug/renamed-post');
+  });
+
+  it('should not reuse a slug held in another post\'s history', async () => {
+    await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Renamed Post' });
+
+    const res = await createPost('Test Post');
+
+    expect(res.body.slug).toBe('test-post-2');
+  });
+
+  it('should return 404 for unknown slugs', async () => {
+    const res = await request(app).get('/api/posts/slug/nothing-here');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('markdown', () => {
+  it('should return sanitized HTML alongside the source', async () => {
+    const content = '## Intro\n\n<script>alert(1)</script>[link](javascript:alert(1))';
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Markdown Post', content });
+
+    expect(res.status).toBe(201);
+    expect(res.body.content).toBe(content);
+    expect(res.body.contentHtml).toContain('<h2>Intro</h2>');
+    expect(res.body.contentHtml).not.toContain('script');
+    expect(res.body.contentHtml).not.toContain('javascript:');
+    expect(res.body).not.toHaveProperty('contentHtmlVersion');
+  });
+
+  it('should re-render when the content changes', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Now with **bold**' });
+
+    expect(res.body.contentHtml).toBe('<p>Now with <strong>bold</strong></p>\n');
+
+    const stored = await Post.findById(postId);
+    expect(stored.contentHtml).toBe(res.body.contentHtml);
+  });
+
+  it('should ignore contentHtml sent by the client', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ contentHtml: '<script>alert(1)</script>' });
+
+    expect(res.body.contentHtml).toBe('<p>This is a test post content</p>\n');
+  });
+});
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const RateLimit = require('../../src/models/RateLimit');
+const { getRateLimitStore } = require('../../src/utils/rateLimitStore');
+const { RATE_LIMITS } = require('../../src/config/rateLimits');
+
+describe('Rate Limiting Integration Tests', () => {
+  const credentials = { email: 'nobody@example.com', password: 'Wrong$Pass1' };
+
+  beforeEach(() => {
+    process.env.RATE_LIMIT_ENABLED = 'true';
+    // Start every test with empty counters
+    getRateLimitStore().stop();
+  });
+
+  afterEach(() => {
+    delete process.env.RATE_LIMIT_ENABLED;
+    delete process.env.RATE_LIMIT_STORE;
+  });
+
+  const login = () => request(app).post('/api/auth/login').send(credentials);
+
+  test('should send RateLimit headers', async () => {
+    const response = await request(app).get('/api/health').expect(200);
+
+    expect(response.headers['ratelimit-limit']).toBe(String(RATE_LIMITS.api.max));
+    expect(response.headers['ratelimit-remaining']).toBe(String(RATE_LIMITS.api.max - 1));
+    expect(response.headers['ratelimit-policy']).toBe(`${RATE_LIMITS.api.max};w=900`);
+  });
+
+  test('should apply the stricter auth policy to login', async () => {
+    for (let i = 0; i < RATE_LIMITS.auth.max; i++) {
+      await login().expect(401);
+    }
+
+    const response = await login().expect(429);
+
+    expect(response.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+  });
+
+  test('should apply the auth policy to token refresh', async () => {
+    const refresh = () => request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'not-a-real-token' });
+
+    for (let i = 0; i < RATE_LIMITS.auth.max; i++) {
+      await refresh().expect(401);
+    }
+
+    const response = await refresh().expect(429);
+    expect(response.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+  });
+
+  test('should count each route policy separately', async () => {
+    for (let i = 0; i < RATE_LIMITS.auth.max; i++) {
+      await login();
+    }
+
+    await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: credentials.email })
+      .expect(200);
+  });
+
+  test('should count each client separately behind a trusted proxy', async () => {
+    const trustProxy = app.get('trust proxy');
+    app.set('trust proxy', 1);
+
+    try {
+      const loginFrom = (ip) => login().set('X-Forwarded-For', ip);
+
+      for (let i = 0; i < RATE_LIMITS.auth.max; i++) {
+        await loginFrom('203.0.113.1').expect(401);
+      }
+
+      await loginFrom('203.0.113.1').expect(429);
+      await loginFrom('203.0.113.2').expect(401);
+    } finally {
+      app.set('trust proxy', trustProxy);
+    }
+  });
+
+  test('should not limit when disabled', async () => {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+
+    for (let i = 0; i <= RATE_LIMITS.auth.max; i++) {
+      await login().expect(401);
+    }
+  });
+
+  test('should share counters through the Mongo store', async () => {
+    process.env.RATE_LIMIT_STORE = 'mongo';
+
+    await login().expect(401);
+
+    const entry = await RateLimit.findOne({ key: /^auth:ip:/ });
+    expect(entry.hits).toHaveLength(1);
+    expect(entry.expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    // Another instance sees the same hits
+    entry.hits = Array(RATE_LIMITS.auth.max).fill(Date.now());
+    await entry.save();
+
+    const response = await login().expect(429);
+    expect(response.body.error.code).toBe('RATE_LIMIT_EXCEEDED');
+  });
+});
@@ -0,0 +1,151 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const Reaction = require('../../src/models/Reaction');
+
+describe('Reaction Integration Tests', () => {
+  let authorId;
+  let authorToken;
+  let readerToken;
+  let postId;
+
+  beforeEach(async () => {
+    const author = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Post Author', email: 'author@example.com', password: 'Secure$Pass1' });
+    authorId = author.body.data.user._id;
+    authorToken = author.body.data.token;
+
+    const reader = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Reader', email: 'reader@example.com', password: 'Secure$Pass1' });
+    readerToken = reader.body.data.token;
+
+    const post = await Post.create({ title: 'Liked Post', content: 'x', author: authorId });
+    postId = post._id.toString();
+  });
+
+  const react = (type, token = readerToken, id = postId) => request(app)
+    .put(`/api/posts/${id}/reactions/${type}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const unreact = (type, token = readerToken) => request(app)
+    .delete(`/api/posts/${postId}/reactions/${type}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('PUT /api/posts/:id/reactions/:type', () => {
+    test('should add a reaction and return the summary', async () => {
+      const response = await react('like').expect(200);
+
+      expect(response.body).toMatchObject({
+        counts: { like: 1, love: 0 },
+        total: 1,
+        mine: ['like'],
+        likedByMe: true
+      });
+    });
+
+    test('should be idempotent', async () => {
+      await react('like').expect(200);
+      const response = await react('like').expect(200);
+
+      expect(response.body.counts.like).toBe(1);
+      expect(await Reaction.countDocuments()).toBe(1);
+    });
+
+    test('should allow several reaction types per user', async () => {
+      await react('like');
+      const response = await react('love').expect(200);
+
+      expect(response.body.mine).toEqual(['like', 'love']);
+      expect(response.body.total).toBe(2);
+    });
+
+    test('should reject unknown reaction types', async () => {
+      const response = await react('meh').expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_REACTION');
+      expect(response.body.error.details).toEqual(['Reaction must be one of: like, love, laugh, wow, sad']);
+    });
+
+    test('should not allow reactions to posts the user cannot see', async () => {
+      await Post.updateOne({ _id: postId }, { status: 'draft' });
+
+      const response = await react('like').expect(404);
+
+      expect(response.body.error.code).toBe('POST_NOT_FOUND');
+    });
+
+    test('should require authentication', async () => {
+      await request(app)
+        .put(`/api/posts/${postId}/reactions/like`)
+        .expect(401);
+    });
+  });
+
+  describe('DELETE /api/posts/:id/reactions/:type', () => {
+    test('should remove the reaction, and do nothing the second time', async () => {
+      await react('like');
+
+      const first = await unreact('like').expect(200);
+      const second = await unreact('like').expect(200);
+
+      expect(first.body.likedByMe).toBe(false);
+      expect(second.body.counts.like).toBe(0);
+    });
+
+    test('should only remove the caller\'s reaction', async () => {
+      await react('like');
+      await react('like', authorToken);
+
+      const response = await unreact('like').expect(200);
+
+      expect(response.body.counts.like).toBe(1);
+      expect(response.body.likedByMe).toBe(false);
+    });
+  });
+
+  describe('reactions on posts', () => {
+    beforeEach(async () => {
+      await Post.create({ title: 'Quiet Post', content: 'x', author: authorId });
+      await react('like');
+      await react('wow', authorToken);
+    });
+
+    test('should include counts and likedByMe in the list', async () => {
+      const response = await request(app)
+        .get('/api/posts')
+        .set('Authorization', `Bearer ${readerToken}`)
+        .expect(200);
+
+      const liked = response.body.find(post => post.title === 'Liked Post');
+      const quiet = response.body.find(post => post.title === 'Quiet Post');
+      expect(liked.reactions).toEqual({
+        counts: { like: 1, love: 0, laugh: 0, wow: 1, sad: 0 },
+        total: 2,
+        mine: ['like']
+      });
+      expect(liked.likedByMe).toBe(true);
+      expect(quiet.reactions.total).toBe(0);
+      expect(quiet.likedByMe).toBe(false);
+    });
+
+    test('should report likedByMe as false for anonymous callers', async () => {
+      const response = await request(app)
+        .get(`/api/posts/${postId}`)
+        .expect(200);
+
+      expect(response.body.reactions.total).toBe(2);
+      expect(response.body.likedByMe).toBe(false);
+    });
+
+    test('should delete reactions with the post', async () => {
+      await request(app)
+        .delete(`/api/posts/${postId}`)
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(await Reaction.countDocuments({ post: postId })).toBe(0);
+    });
+  });
+});
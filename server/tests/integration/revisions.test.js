@@ -0,0 +1,163 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const PostRevision = require('../../src/models/PostRevision');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+describe('Post Revision Integration Tests', () => {
+  let authorToken;
+  let readerToken;
+  let moderatorToken;
+  let postId;
+
+  beforeEach(async () => {
+    const author = await User.create({ name: 'Author', email: 'author@example.com', password: 'Secure$Pass1' });
+    const reader = await User.create({ name: 'Reader', email: 'reader@example.com', password: 'Secure$Pass1' });
+    const moderator = await User.create({
+      name: 'Moderator',
+      email: 'moderator@example.com',
+      password: 'Secure$Pass1',
+      role: 'moderator'
+    });
+    authorToken = generateToken(author);
+    readerToken = generateToken(reader);
+    moderatorToken = generateToken(moderator);
+
+    const created = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ title: 'Versioned', content: 'line one\nline two' });
+    postId = created.body._id;
+  });
+
+  const edit = (changes) => request(app)
+    .put(`/api/posts/${postId}`)
+    .set('Authorization', `Bearer ${authorToken}`)
+    .send(changes);
+
+  const get = (path, token = authorToken) => request(app)
+    .get(`/api/posts/${postId}/revisions${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  test('should record a revision on create and on each content change', async () => {
+    await edit({ content: 'line one\nline 2' }).expect(200);
+    await edit({ category: '507f1f77bcf86cd799439011' }).expect(200);
+
+    const res = await get('').expect(200);
+
+    expect(res.body.map(revision => revision.number)).toEqual([2, 1]);
+    expect(res.body[0].editor.name).toBe('Author');
+    expect(res.body[0]).not.toHaveProperty('content');
+  });
+
+  test('should return a single revision with its content', async () => {
+    await edit({ content: 'changed' });
+
+    const res = await get('/1').expect(200);
+
+    expect(res.body).toMatchObject({ number: 1, title: 'Versioned', content: 'line one\nline two' });
+  });
+
+  test('should diff two revisions line by line', async () => {
+    await edit({ title: 'Versioned again', content: 'line one\nline 2\nline three' });
+
+    const res = await get('/diff?from=1&to=2').expect(200);
+
+    expect(res.body.stats).toEqual({ added: 2, removed: 1 });
+    expect(res.body.title).toEqual({ from: 'Versioned', to: 'Versioned again' });
+    expect(res.body.changes.map(change => change.type)).toEqual(['equal', 'delete', 'insert', 'insert']);
+  });
+
+  test('should refuse to diff revisions that differ too much', async () => {
+    process.env.REVISION_DIFF_MAX_EDITS = '2';
+    await edit({ content: 'all\nnew\nlines' });
+
+    const res = await get('/diff').expect(422);
+
+    expect(res.body.error.code).toBe('DIFF_TOO_LARGE');
+    expect(res.body.error.details).toEqual(['More than 2 lines changed']);
+    delete process.env.REVISION_DIFF_MAX_EDITS;
+  });
+
+  test('should diff the latest revision against the previous one by default', async () => {
+    await edit({ content: 'v2' });
+    await edit({ content: 'v3' });
+
+    const res = await get('/diff').expect(200);
+
+    expect(res.body.from).toBe(2);
+    expect(res.body.to).toBe(3);
+  });
+
+  test('should diff a single revision against an empty post', async () => {
+    const res = await get('/diff').expect(200);
+
+    expect(res.body).toMatchObject({
+      from: 0,
+      to: 1,
+      title: { from: '', to: 'Versioned' },
+      stats: { added: 2, removed: 0 }
+    });
+  });
+
+  test('should restore an old revision as a new revision', async () => {
+    await edit({ content: 'vandalised' });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    expect(res.body.content).toBe('line one\nline two');
+
+    const latest = await PostRevision.findOne({ post: postId }).sort({ number: -1 });
+    expect(latest.number).toBe(3);
+    expect(latest.restoredFrom).toBe(1);
+  });
+
+  test('should create a baseline for posts without revisions', async () => {
+    const author = await User.findOne({ email: 'author@example.com' });
+    const legacy = await Post.create({ title: 'Legacy', content: 'original', author: author._id });
+
+    await request(app)
+      .put(`/api/posts/${legacy._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'edited' })
+      .expect(200);
+
+    const revisions = await PostRevision.find({ post: legacy._id }).sort({ number: 1 });
+    expect(revisions.map(revision => revision.content)).toEqual(['original', 'edited']);
+  });
+
+  test('should let moderators read but not restore', async () => {
+    await edit({ content: 'changed' });
+
+    await get('', moderatorToken).expect(200);
+    await request(app)
+      .post(`/api/posts/${postId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .expect(403);
+  });
+
+  test('should hide the history from other users', async () => {
+    await get('', readerToken).expect(403);
+  });
+
+  test('should validate revision numbers', async () => {
+    const invalid = await get('/diff?from=abc&to=1').expect(400);
+    expect(invalid.body.error.code).toBe('INVALID_REVISION');
+
+    const missing = await get('/9').expect(404);
+    expect(missing.body.error.code).toBe('REVISION_NOT_FOUND');
+  });
+
+  test('should delete revisions with the post', async () => {
+    await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .expect(200);
+
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(0);
+  });
+});
@@ -0,0 +1,124 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+
+describe('Search Integration Tests', () => {
+  let authorId;
+  let authorToken;
+  let moderatorToken;
+
+  beforeAll(async () => {
+    // $text queries fail until the text indexes exist
+    await Promise.all([Post.init(), User.init()]);
+  });
+
+  beforeEach(async () => {
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Search Author', email: 'author@example.com', password: 'Secure$Pass1' });
+    authorId = register.body.data.user._id;
+    authorToken = register.body.data.token;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Moderator User', email: 'moderator@example.com', password: 'Secure$Pass1' });
+    await User.updateOne({ email: 'moderator@example.com' }, { role: 'moderator' });
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'moderator@example.com', password: 'Secure$Pass1' });
+    moderatorToken = login.body.data.token;
+
+    await Post.create([
+      { title: 'Indexing in MongoDB', content: 'Indexes make queries fast.', author: authorId },
+      { title: 'Cooking pasta', content: 'Boil water. MongoDB is not involved.', author: authorId },
+      { title: 'Secret MongoDB plans', content: 'Not ready yet.', author: authorId, status: 'draft' }
+    ]);
+  });
+
+  const search = (query, token) => {
+    const req = request(app).get('/api/search').query(query);
+    return token ? req.set('Authorization', `Bearer ${token}`) : req;
+  };
+
+  describe('GET /api/search', () => {
+    test('should rank title matches first', async () => {
+      const response = await search({ q: 'mongodb', type: 'posts' }).expect(200);
+
+      const { items, total } = response.body.data.results.posts;
+      expect(total).toBe(2);
+      expect(items[0].title).toBe('Indexing in MongoDB');
+      expect(items[0].highlights.title).toBe('Indexing in <mark>MongoDB</mark>');
+      expect(items[1].highlights.content).toContain('<mark>MongoDB</mark>');
+      expect(items[0]).not.toHaveProperty('content');
+    });
+
+    test('should include the author\'s own drafts', async () => {
+      const response = await search({ q: 'mongodb', type: 'posts' }, authorToken).expect(200);
+
+      expect(response.body.data.results.posts.total).toBe(3);
+    });
+
+    test('should treat operators in the query as plain text', async () => {
+      const response = await search({ q: '"pasta -mongodb' }).expect(200);
+
+      expect(response.body.data.results.posts.total).toBe(2);
+    });
+
+    test('should escape HTML in highlights', async () => {
+      await Post.create({ title: '<script>alert(1)</script> xss', content: 'x', author: authorId });
+
+      const response = await search({ q: 'xss' }).expect(200);
+
+      expect(response.body.data.results.posts.items[0].highlights.title)
+        .toBe('&lt;script&gt;alert(1)&lt;&#x2F;script&gt; <mark>xss</mark>');
+    });
+
+    test('should leave users out of "all" results without permission', async () => {
+      const response = await search({ q: 'search' }, authorToken).expect(200);
+
+      expect(response.body.data.results).toHaveProperty('posts');
+      expect(response.body.data.results).not.toHaveProperty('users');
+    });
+
+    test('should let moderators search users', async () => {
+      const response = await search({ q: 'author', type: 'users' }, moderatorToken).expect(200);
+
+      const { items } = response.body.data.results.users;
+      expect(items[0].email).toBe('author@example.com');
+      expect(items[0].highlights.name).toBe('Search <mark>Author</mark>');
+      expect(items[0]).not.toHaveProperty('password');
+    });
+
+    test('should reject user searches without permission', async () => {
+      const response = await search({ q: 'author', type: 'users' }, authorToken).expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('should require a query', async () => {
+      const response = await search({ q: '  ' }).expect(400);
+
+      expect(response.body.error.code).toBe('MISSING_QUERY');
+    });
+
+    test('should reject unknown types', async () => {
+      const response = await search({ q: 'mongodb', type: 'comments' }).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_SEARCH_TYPE');
+      expect(response.body.error.details).toEqual(['Type must be one of: all, posts, users']);
+    });
+  });
+
+  describe('GET /api/auth/users?search=', () => {
+    test('should match the search text literally', async () => {
+      const response = await request(app)
+        .get('/api/auth/users')
+        .query({ search: '.*' })
+        .set('Authorization', `Bearer ${moderatorToken}`)
+        .expect(200);
+
+      expect(response.body.data.users).toHaveLength(0);
+    });
+  });
+});
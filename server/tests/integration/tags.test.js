@@ -0,0 +1,150 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+
+describe('Tag Integration Tests', () => {
+  let authorId;
+  let authorToken;
+  let adminToken;
+
+  beforeEach(async () => {
+    const register = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Tag Author', email: 'author@example.com', password: 'Secure$Pass1' });
+    authorId = register.body.data.user._id;
+    authorToken = register.body.data.token;
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Admin User', email: 'admin@example.com', password: 'Secure$Pass1' });
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'admin@example.com', password: 'Secure$Pass1' });
+    adminToken = login.body.data.token;
+
+    await Post.create([
+      { title: 'React hooks', content: 'x', author: authorId, tags: ['React', 'JavaScript'] },
+      { title: 'Plain JS', content: 'x', author: authorId, tags: ['javascript'] },
+      { title: 'Legacy JS', content: 'x', author: authorId, tags: ['JS', 'legacy'] },
+      { title: 'Draft', content: 'x', author: authorId, tags: ['javascript', 'secret'], status: 'draft' }
+    ]);
+  });
+
+  describe('GET /api/tags', () => {
+    test('should return usage counts for published posts, most used first', async () => {
+      const response = await request(app)
+        .get('/api/tags')
+        .expect(200);
+
+      expect(response.body).toEqual([
+        { name: 'javascript', count: 2 },
+        { name: 'js', count: 1 },
+        { name: 'legacy', count: 1 },
+        { name: 'react', count: 1 }
+      ]);
+    });
+
+    test('should count the author\'s own drafts', async () => {
+      const response = await request(app)
+        .get('/api/tags')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .expect(200);
+
+      expect(response.body[0]).toEqual({ name: 'javascript', count: 3 });
+      expect(response.body).toContainEqual({ name: 'secret', count: 1 });
+    });
+  });
+
+  describe('GET /api/posts?tags=', () => {
+    const titles = (response) => response.body.map(post => post.title).sort();
+
+    test('should match any of the tags by default', async () => {
+      const response = await request(app)
+        .get('/api/posts?tags=react,JS')
+        .expect(200);
+
+      expect(titles(response)).toEqual(['Legacy JS', 'React hooks']);
+    });
+
+    test('should match all of the tags', async () => {
+      const response = await request(app)
+        .get('/api/posts?tags=react,javascript&tagMatch=all')
+        .expect(200);
+
+      expect(titles(response)).toEqual(['React hooks']);
+    });
+
+    test('should reject an unknown match mode', async () => {
+      const response = await request(app)
+        .get('/api/posts?tags=react&tagMatch=some')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TAG_MATCH');
+    });
+  });
+
+  describe('POST /api/posts', () => {
+    test('should store normalized tags', async () => {
+      await User.updateOne({ _id: authorId }, { emailVerified: true });
+
+      const response = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${authorToken}`)
+        .send({ title: 'New', content: 'x', tags: ['#Node JS', 'node js'] })
+        .expect(201);
+
+      expect(response.body.tags).toEqual(['node-js']);
+    });
+  });
+
+  describe('POST /api/tags/merge', () => {
+    const merge = (body, token = adminToken) => request(app)
+      .post('/api/tags/merge')
+      .set('Authorization', `Bearer ${token}`)
+      .send(body);
+
+    test('should replace the merged tags on every post', async () => {
+      const response = await merge({ from: ['JS', 'ecmascript'], into: 'JavaScript' }).expect(200);
+
+      expect(response.body).toMatchObject({ into: 'javascript', modifiedCount: 1 });
+
+      const legacy = await Post.findOne({ title: 'Legacy JS' });
+      expect(legacy.tags.sort()).toEqual(['javascript', 'legacy']);
+      expect(await Post.countDocuments({ tags: 'js' })).toBe(0);
+    });
+
+    test('should not duplicate the target tag', async () => {
+      await Post.updateOne({ title: 'React hooks' }, { $push: { tags: 'js' } });
+
+      await merge({ from: ['js'], into: 'javascript' }).expect(200);
+
+      const post = await Post.findOne({ title: 'React hooks' });
+      expect(post.tags.sort()).toEqual(['javascript', 'react']);
+    });
+
+    test('should require a different target', async () => {
+      const response = await merge({ from: ['javascript'], into: 'javascript' }).expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TAGS');
+      expect(response.body.error.details).toEqual(['Provide "from" (tags to merge) and a different "into" tag']);
+    });
+
+    test('should validate the body', async () => {
+      const missing = await merge({ from: ['js'] }).expect(400);
+      const malformed = await merge({ from: { js: true }, into: 'javascript' }).expect(400);
+
+      expect(missing.body.error.code).toBe('INVALID_TAGS');
+      expect(missing.body.error.details).toEqual(['into is required']);
+      expect(malformed.body.error.code).toBe('INVALID_TAGS');
+      expect(malformed.body.error.details).toEqual(['from must be a list of tags']);
+    });
+
+    test('should be restricted to admins', async () => {
+      const response = await merge({ from: ['js'], into: 'javascript' }, authorToken).expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+  });
+});
@@ -0,0 +1,303 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { generateCodeForStep } = require('../../src/utils/totp');
+
+// Codes can't be reused, so each test step uses its own time step
+const codeAt = (secret, offset = 0) => {
+  const step = Math.floor(Date.now() / 1000 / 30);
+  return generateCodeForStep(secret, step + offset);
+};
+
+describe('Two-Factor Authentication Integration Tests', () => {
+  const credentials = {
+    email: 'twofactor@example.com',
+    password: 'Secure$Pass1'
+  };
+  let authToken;
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Two Factor', ...credentials });
+
+    authToken = response.body.data.token;
+  });
+
+  // Enroll the user and return the secret and recovery codes
+  const enroll = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const { secret } = setup.body.data;
+    const confirm = await request(app)
+      .post('/api/auth/2fa/confirm')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code: codeAt(secret, -1) })
+      .expect(200);
+
+    return { secret, recoveryCodes: confirm.body.data.recoveryCodes };
+  };
+
+  describe('enrollment', () => {
+    test('should return a secret and provisioning URI', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(response.body.data.otpauthUrl).toContain(
+        `otpauth://totp/MERN%20Testing%3A${encodeURIComponent(credentials.email)}`
+      );
+
+      // Not enabled until confirmed
+      const user = await User.findOne({ email: credentials.email });
+      expect(user.twoFactorEnabled).toBe(false);
+    });
+
+    test('should enable 2FA and return hashed-at-rest recovery codes', async () => {
+      const { recoveryCodes } = await enroll();
+
+      expect(recoveryCodes).toHaveLength(10);
+      recoveryCodes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+      const user = await User.findOne({ email: credentials.email })
+        .select('+twoFactorRecoveryCodes +twoFactorSecret');
+      expect(user.twoFactorEnabled).toBe(true);
+      expect(user.twoFactorSecret).toBeTruthy();
+      expect(user.twoFactorRecoveryCodes).toHaveLength(10);
+      expect(user.twoFactorRecoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    test('should reject a wrong confirmation code', async () => {
+      await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: '000000' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+
+    test('should require setup before confirmation', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/confirm')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: '123456' })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('TWO_FACTOR_NOT_PENDING');
+    });
+
+    test('should never expose secrets in the profile', async () => {
+      await enroll();
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.twoFactorEnabled).toBe(true);
+      expect(response.body.data).not.toHaveProperty('twoFactorSecret');
+      expect(response.body.data).not.toHaveProperty('twoFactorRecoveryCodes');
+    });
+  });
+
+  describe('login', () => {
+    let secret;
+    let recoveryCodes;
+
+    beforeEach(async () => {
+      ({ secret, recoveryCodes } = await enroll());
+    });
+
+    const startLogin = async () => {
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(200);
+
+      return response.body.data;
+    };
+
+    test('should return a challenge instead of tokens', async () => {
+      const data = await startLogin();
+
+      expect(data).toEqual({
+        twoFactorRequired: true,
+        challengeToken: expect.any(String)
+      });
+    });
+
+    test('should complete login with a valid code', async () => {
+      const { challengeToken } = await startLogin();
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: codeAt(secret) })
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        user: expect.objectContaining({ email: credentials.email }),
+        token: expect.any(String),
+        refreshToken: expect.any(String)
+      });
+    });
+
+    test('should not accept the same code twice', async () => {
+      const code = codeAt(secret);
+      const first = await startLogin();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.challengeToken, code })
+        .expect(200);
+
+      const second = await startLogin();
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: second.challengeToken, code })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_TWO_FACTOR_CODE');
+    });
+
+    test('should accept each recovery code once', async () => {
+      const first = await startLogin();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      const second = await startLogin();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: second.challengeToken, recoveryCode: recoveryCodes[0] })
+        .expect(401);
+    });
+
+    test('should reject access tokens as challenge tokens', async () => {
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: authToken, code: codeAt(secret) })
+        .expect(401);
+
+      expect(response.body.error.code).toBe('INVALID_CHALLENGE_TOKEN');
+    });
+
+    test('should count wrong codes towards the lockout', async () => {
+      const { challengeToken } = await startLogin();
+
+      for (let i = 0; i < 4; i++) {
+        await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken, code: '000000' })
+          .expect(401);
+      }
+
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: '000000' })
+        .expect(423);
+
+      expect(response.body.error.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    test('should not reset the lockout count on a correct password', async () => {
+      // Fresh challenges after every couple of wrong codes must not help
+      for (let i = 0; i < 2; i++) {
+        const { challengeToken } = await startLogin();
+        for (let j = 0; j < 2; j++) {
+          await request(app)
+            .post('/api/auth/login/2fa')
+            .send({ challengeToken, code: '000000' })
+            .expect(401);
+        }
+      }
+
+      const { challengeToken } = await startLogin();
+      const response = await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken, code: '000000' })
+        .expect(423);
+
+      expect(response.body.error.code).toBe('ACCOUNT_LOCKED');
+    });
+
+    test('should reset the lockout count once the second factor passes', async () => {
+      const first = await startLogin();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: first.challengeToken, code: '000000' })
+        .expect(401);
+
+      const second = await startLogin();
+      await request(app)
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: second.challengeToken, code: codeAt(secret) })
+        .expect(200);
+
+      const user = await User.findOne({ email: credentials.email });
+      expect(user.failedLoginAttempts).toBe(0);
+    });
+  });
+
+  describe('POST /api/auth/2fa/disable', () => {
+    test('should require the password and a second factor', async () => {
+      const { recoveryCodes } = await enroll();
+
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: 'wrongpassword', recoveryCode: recoveryCodes[0] })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ password: credentials.password, recoveryCode: recoveryCodes[0] })
+        .expect(200);
+
+      expect(response.body.data.twoFactorEnabled).toBe(false);
+
+      // Plain password login works again
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(200);
+      expect(login.body.data.token).toEqual(expect.any(String));
+    });
+  });
+
+  describe('admin 2FA requirement', () => {
+    afterEach(() => {
+      delete process.env.REQUIRE_ADMIN_2FA;
+    });
+
+    test('should block admins without 2FA when required', async () => {
+      process.env.REQUIRE_ADMIN_2FA = 'true';
+      await User.updateOne({ email: credentials.email }, { role: 'admin' });
+      const login = await request(app).post('/api/auth/login').send(credentials);
+      authToken = login.body.data.token;
+
+      const response = await request(app)
+        .get('/api/auth/users')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.error.code).toBe('TWO_FACTOR_REQUIRED');
+
+      await enroll();
+      await request(app)
+        .get('/api/auth/users')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+
+describe('User Role Management Integration Tests', () => {
+  let adminToken;
+  let adminId;
+  let userToken;
+  let userId;
+
+  const registerAndLogin = async (name, email) => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name, email, password: 'Secure$Pass1' });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email, password: 'Secure$Pass1' });
+
+    return { token: login.body.data.token, id: login.body.data.user._id };
+  };
+
+  beforeEach(async () => {
+    ({ token: userToken, id: userId } = await registerAndLogin('Regular User', 'regular@example.com'));
+
+    await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Admin User', email: 'admin@example.com', password: 'Secure$Pass1' });
+    await User.updateOne({ email: 'admin@example.com' }, { role: 'admin' });
+    ({ token: adminToken, id: adminId } = await registerAndLogin('Admin User', 'admin@example.com'));
+  });
+
+  const changeRole = (id, role, token = adminToken) => request(app)
+    .patch(`/api/auth/users/${id}/role`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ role });
+
+  test('should change the role and record who changed it', async () => {
+    const response = await changeRole(userId, 'moderator').expect(200);
+
+    expect(response.body.data.role).toBe('moderator');
+    expect(response.body.data.roleChangedBy).toBe(adminId);
+
+    const user = await User.findById(userId);
+    expect(user.role).toBe('moderator');
+    expect(user.roleChangedAt).toBeInstanceOf(Date);
+  });
+
+  test('should apply the new role to tokens already issued', async () => {
+    await request(app)
+      .get('/api/auth/users')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(403);
+
+    await changeRole(userId, 'admin').expect(200);
+
+    await request(app)
+      .get('/api/auth/users')
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+  });
+
+  test('should reject malformed user ids', async () => {
+    const response = await changeRole('not-an-id', 'moderator').expect(400);
+
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(response.body.error.details).toEqual(['User id must be a valid id']);
+  });
+
+  test('should require a role', async () => {
+    const response = await changeRole(userId, undefined).expect(400);
+
+    expect(response.body.error.code).toBe('MISSING_ROLE');
+  });
+
+  test('should validate the user list query', async () => {
+    const response = await request(app)
+      .get('/api/auth/users?limit=1000&role=owner')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(400);
+
+    expect(response.body.error.details).toHaveLength(2);
+  });
+
+  test('should reject unknown roles', async () => {
+    const response = await changeRole(userId, 'superuser').expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_ROLE');
+  });
+
+  test('should not let admins change their own role', async () => {
+    const response = await changeRole(adminId, 'user').expect(400);
+
+    expect(response.body.error.code).toBe('CANNOT_MODIFY_SELF');
+  });
+
+  test('should let another admin demote an admin', async () => {
+    await changeRole(userId, 'admin').expect(200);
+
+    const response = await changeRole(adminId, 'user', userToken).expect(200);
+
+    expect(response.body.data.role).toBe('user');
+  });
+
+  test('should return 404 for unknown users', async () => {
+    const response = await changeRole('507f1f77bcf86cd799439011', 'moderator').expect(404);
+
+    expect(response.body.error.code).toBe('USER_NOT_FOUND');
+  });
+
+  test('should be restricted to admins', async () => {
+    await changeRole(adminId, 'user', userToken).expect(403);
+  });
+});
@@ -18,6 +18,7 @@ global.testUtils = {
     res.send = jest.fn().mockReturnValue(res);
     res.cookie = jest.fn().mockReturnValue(res);
     res.clearCookie = jest.fn().mockReturnValue(res);
+    res.set = jest.fn().mockReturnValue(res);
     return res;
   },
   
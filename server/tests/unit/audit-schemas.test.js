@@ -0,0 +1,54 @@
+const schemas = require('../../src/schemas/audit');
+
+describe('Audit validation schemas', () => {
+  const options = { abortEarly: false, stripUnknown: true, errors: { wrap: { label: false } } };
+  const validate = (schema, value) => schema.validate(value, options);
+  const messages = ({ error }) => error.details.map(detail => detail.message);
+
+  const userId = '507f1f77bcf86cd799439011';
+
+  describe('listEvents', () => {
+    test('should convert the filters and default the pagination', () => {
+      const { error, value } = validate(schemas.listEvents.query, {
+        actor: userId,
+        action: ['login', 'logout_all,role_changed'],
+        from: '2024-01-01',
+        to: '',
+        sort: 'actor'
+      });
+
+      expect(error).toBeUndefined();
+      expect(value).toEqual({
+        page: 1,
+        limit: 20,
+        actor: userId,
+        action: ['login', 'logout_all', 'role_changed'],
+        from: new Date('2024-01-01')
+      });
+    });
+
+    test('should report every invalid filter', () => {
+      const result = validate(schemas.listEvents.query, {
+        page: '0',
+        limit: '500',
+        actor: 'nope',
+        target: [userId, userId],
+        action: 'login,explode',
+        from: 'yesterday'
+      });
+
+      expect(messages(result)).toEqual([
+        'page must be greater than or equal to 1',
+        'limit must be less than or equal to 100',
+        'actor must be a valid user id',
+        'target must be a single value',
+        'Unknown action: explode',
+        'from must be a valid date'
+      ]);
+    });
+
+    test('should report failures as INVALID_FILTER', () => {
+      expect(schemas.listEvents.invalid.code).toBe('INVALID_FILTER');
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const AuditEvent = require('../../src/models/AuditEvent');
+const logger = require('../../src/utils/logger');
+
+describe('AuditEvent.record', () => {
+  let req;
+
+  beforeEach(() => {
+    req = global.testUtils.createMockRequest({
+      ip: '203.0.113.7',
+      get: jest.fn().mockReturnValue('jest-agent')
+    });
+  });
+
+  test('should store the request origin with the event', async () => {
+    const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    await AuditEvent.record(req, {
+      action: 'role_changed',
+      actor: 'admin-id',
+      target: 'user-id',
+      details: { from: 'user', to: 'moderator' }
+    });
+
+    expect(create).toHaveBeenCalledWith({
+      action: 'role_changed',
+      actor: 'admin-id',
+      target: 'user-id',
+      success: true,
+      details: { from: 'user', to: 'moderator' },
+      ip: '203.0.113.7',
+      userAgent: 'jest-agent'
+    });
+    expect(req.get).toHaveBeenCalledWith('user-agent');
+  });
+
+  test('should work without a request', async () => {
+    const create = jest.spyOn(AuditEvent, 'create').mockResolvedValue({});
+
+    await AuditEvent.record(null, { action: 'login', actor: 'user-id' });
+
+    expect(create.mock.calls[0][0]).toMatchObject({ ip: undefined, userAgent: undefined });
+  });
+
+  test('should log instead of throwing when the write fails', async () => {
+    jest.spyOn(AuditEvent, 'create').mockRejectedValue(new Error('Database unavailable'));
+    const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    await expect(
+      AuditEvent.record(req, { action: 'login_failed', success: false })
+    ).resolves.toBeNull();
+
+    expect(error).toHaveBeenCalledWith(expect.stringContaining('login_failed'));
+  });
+
+  test('should expose the known actions', () => {
+    expect(AuditEvent.ACTIONS).toEqual(expect.arrayContaining([
+      'login', 'login_failed', 'password_changed', 'role_changed', 'user_deleted'
+    ]));
+  });
+});
@@ -0,0 +1,91 @@
+const schemas = require('../../src/schemas/auth');
+
+describe('Auth validation schemas', () => {
+  const options = { abortEarly: false, stripUnknown: true, errors: { wrap: { label: false } } };
+  const validate = (schema, value) => schema.validate(value, options);
+  const messages = ({ error }) => error.details.map(detail => detail.message);
+
+  describe('register', () => {
+    test('should normalize the input and strip unknown fields', () => {
+      const { error, value } = validate(schemas.register.body, {
+        name: '  Jane Doe ',
+        email: ' Jane@Example.COM ',
+        password: 'password123',
+        role: 'admin',
+        emailVerified: true
+      });
+
+      expect(error).toBeUndefined();
+      expect(value).toEqual({ name: 'Jane Doe', email: 'jane@example.com', password: 'password123' });
+    });
+
+    test('should use the model\'s messages', () => {
+      const result = validate(schemas.register.body, { name: 'J', email: 'nope', password: 'Secure$Pass1' });
+
+      expect(messages(result)).toEqual([
+        'Name must be at least 2 characters',
+        'Please provide a valid email address'
+      ]);
+    });
+
+    test('should leave password strength to the password policy', () => {
+      const { error } = validate(schemas.register.body, { name: 'Jane', email: 'jane@example.com', password: '123' });
+
+      expect(error).toBeUndefined();
+    });
+  });
+
+  describe('login', () => {
+    test('should only check presence', () => {
+      const { error } = validate(schemas.login.body, { email: 'not-an-email', password: 'x' });
+
+      expect(error).toBeUndefined();
+    });
+  });
+
+  describe('verifyTwoFactorLogin', () => {
+    test('should require a code or a recovery code', () => {
+      const result = validate(schemas.verifyTwoFactorLogin.body, { challengeToken: 'token' });
+
+      expect(messages(result)).toEqual(['Provide a code or a recovery code']);
+    });
+
+    test('should reject malformed codes', () => {
+      const result = validate(schemas.verifyTwoFactorLogin.body, { challengeToken: 'token', code: '12ab56' });
+
+      expect(messages(result)).toEqual(['Code must be 6 digits']);
+    });
+  });
+
+  describe('updateMe', () => {
+    test('should not let users change protected fields', () => {
+      const { value } = validate(schemas.updateMe.body, { name: 'New Name', role: 'admin', isActive: true });
+
+      expect(value).toEqual({ name: 'New Name' });
+    });
+  });
+
+  describe('listUsers', () => {
+    test('should convert and default the pagination', () => {
+      const { value } = validate(schemas.listUsers.query, { page: '2' });
+
+      expect(value).toEqual({ page: 2, limit: 10 });
+    });
+
+    test('should reject unknown roles and oversized pages', () => {
+      const result = validate(schemas.listUsers.query, { role: 'owner', limit: '500' });
+
+      expect(messages(result)).toEqual([
+        'Limit must be less than or equal to 100',
+        'Role must be one of [user, moderator, admin]'
+      ]);
+    });
+  });
+
+  describe('userAction', () => {
+    test('should require a valid user id', () => {
+      expect(validate(schemas.userAction.params, { id: '507f1f77bcf86cd799439011' }).error).toBeUndefined();
+      expect(messages(validate(schemas.userAction.params, { id: '123' }))).toContain('User id must be a valid id');
+    });
+  });
+});
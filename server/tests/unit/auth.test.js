@@ -1,16 +1,32 @@
 const jwt = require('jsonwebtoken');
+const Joi = require('joi');
 const {
   authenticate,
+  optionalAuthenticate,
   authorize,
+  requirePermission,
+  requireOwnership,
+  requireVerifiedEmail,
   requestLogger,
   errorHandler,
   validateInput,
   rateLimit
 } = require('../../src/middleware/auth');
+const User = require('../../src/models/User');
+const RevokedToken = require('../../src/models/RevokedToken');
+const logger = require('../../src/utils/logger');
 
 // Mock jwt module
 jest.mock('jsonwebtoken');
 
+// Mock the models consulted by authenticate
+jest.mock('../../src/models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../../src/models/RevokedToken', () => ({
+  isRevoked: jest.fn()
+}));
+
 describe('Authentication Middleware', () => {
   let req, res, next;
 
@@ -21,6 +37,9 @@ describe('Authentication Middleware', () => {
     
     // Mock environment variable
     process.env.JWT_SECRET = 'test-secret';
+
+    User.findById.mockResolvedValue({ _id: '123', role: 'user', isActive: true });
+    RevokedToken.isRevoked.mockResolvedValue(false);
   });
 
   afterEach(() => {
@@ -42,6 +61,16 @@ describe('Authentication Middleware', () => {
       expect(jwt.verify).toHaveBeenCalledWith(token, 'test-secret');
     });
 
+    test('should use the stored role rather than the one in the token', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer valid-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123', role: 'admin' });
+
+      await authenticate(req, res, next);
+
+      expect(req.user.role).toBe('user');
+      expect(next).toHaveBeenCalledWith();
+    });
+
     test('should reject request without token', async () => {
       req.header = jest.fn().mockReturnValue(undefined);
 
@@ -102,6 +131,141 @@ describe('Authentication Middleware', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    test('should report expired tokens separately', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer expired-jwt-token');
+      jwt.verify.mockImplementation(() => {
+        const error = new Error('jwt expired');
+        error.name = 'TokenExpiredError';
+        throw error;
+      });
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          message: 'Token expired.',
+          code: 'TOKEN_EXPIRED',
+          details: [],
+          timestamp: expect.any(String)
+        }
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject revoked tokens', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer revoked-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123', jti: 'revoked-jti' });
+      RevokedToken.isRevoked.mockResolvedValue(true);
+
+      await authenticate(req, res, next);
+
+      expect(RevokedToken.isRevoked).toHaveBeenCalledWith('revoked-jti');
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: {
+          message: 'Token has been revoked.',
+          code: 'TOKEN_REVOKED',
+          details: [],
+          timestamp: expect.any(String)
+        }
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject tokens issued before the user logged out everywhere', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer old-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123', ver: 1 });
+      User.findById.mockResolvedValue({
+        _id: '123',
+        isActive: true,
+        tokenVersion: 2
+      });
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('TOKEN_REVOKED');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should accept tokens issued after the user logged out everywhere', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer new-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123', ver: 2 });
+      User.findById.mockResolvedValue({
+        _id: '123',
+        isActive: true,
+        tokenVersion: 2
+      });
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should treat tokens without a version as version 0', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer legacy-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123' });
+      User.findById.mockResolvedValue({ _id: '123', isActive: true, tokenVersion: 1 });
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('TOKEN_REVOKED');
+    });
+
+    test('should reject tokens for users that no longer exist', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer valid-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123' });
+      User.findById.mockResolvedValue(null);
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_TOKEN');
+    });
+
+    test('should reject deactivated accounts', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer valid-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123' });
+      User.findById.mockResolvedValue({ _id: '123', isActive: false });
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('ACCOUNT_DISABLED');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should pass database errors to the error handler', async () => {
+      const error = new Error('Database unavailable');
+      req.header = jest.fn().mockReturnValue('Bearer valid-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123' });
+      User.findById.mockRejectedValue(error);
+
+      await authenticate(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    test('should reject unverified accounts when verification is mandatory', async () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'block';
+      req.header = jest.fn().mockReturnValue('Bearer valid-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123' });
+      User.findById.mockResolvedValue({ _id: '123', isActive: true, emailVerified: false });
+
+      await authenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('EMAIL_NOT_VERIFIED');
+      expect(next).not.toHaveBeenCalled();
+
+      delete process.env.EMAIL_VERIFICATION_POLICY;
+    });
+
     test('should handle missing Authorization header', async () => {
       req.header = jest.fn().mockReturnValue(null);
 
@@ -120,6 +284,39 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('optionalAuthenticate middleware', () => {
+    test('should let anonymous requests through', async () => {
+      req.header = jest.fn().mockReturnValue(undefined);
+
+      await optionalAuthenticate(req, res, next);
+
+      expect(req.user).toBeNull();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should authenticate requests that send a token', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer valid-jwt-token');
+      jwt.verify.mockReturnValue({ id: '123', role: 'user' });
+
+      await optionalAuthenticate(req, res, next);
+
+      expect(req.user).toEqual({ id: '123', role: 'user' });
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should still reject invalid tokens', async () => {
+      req.header = jest.fn().mockReturnValue('Bearer bad-token');
+      jwt.verify.mockImplementationOnce(() => {
+        throw new Error('invalid signature');
+      });
+
+      await optionalAuthenticate(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
   describe('authorize middleware', () => {
     test('should allow access for user with required role', () => {
       req.user = { id: '123', role: 'admin' };
@@ -187,6 +384,143 @@ describe('Authentication Middleware', () => {
     });
   });
 
+  describe('requirePermission middleware', () => {
+    test('should allow roles granted the permission', () => {
+      req.user = { id: '123', role: 'moderator' };
+
+      requirePermission('users:read')(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should require every listed permission', () => {
+      req.user = { id: '123', role: 'moderator' };
+
+      requirePermission('users:read', 'users:delete')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('INSUFFICIENT_PERMISSIONS');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should deny unknown roles', () => {
+      req.user = { id: '123', role: 'guest' };
+
+      requirePermission('posts:create')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should deny access for unauthenticated user', () => {
+      req.user = null;
+
+      requirePermission('users:read')(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].error.code).toBe('NOT_AUTHENTICATED');
+    });
+  });
+
+  describe('requireOwnership middleware', () => {
+    const post = { _id: 'post-1', author: 'owner-id' };
+    const loadPost = jest.fn();
+
+    beforeEach(() => {
+      loadPost.mockResolvedValue(post);
+    });
+
+    test('should let the owner through and store the resource', async () => {
+      req.user = { id: 'owner-id', role: 'user' };
+
+      await requireOwnership(loadPost)(req, res, next);
+
+      expect(loadPost).toHaveBeenCalledWith(req);
+      expect(req.resource).toBe(post);
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should reject other users', async () => {
+      req.user = { id: 'other-id', role: 'user' };
+
+      await requireOwnership(loadPost, { permission: 'posts:moderate' })(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('NOT_RESOURCE_OWNER');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should let the overriding permission through', async () => {
+      req.user = { id: 'other-id', role: 'moderator' };
+
+      await requireOwnership(loadPost, { permission: 'posts:moderate' })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should support a custom owner field', async () => {
+      req.user = { id: 'owner-id', role: 'user' };
+      loadPost.mockResolvedValue({ user: { _id: 'owner-id' } });
+
+      await requireOwnership(loadPost, { ownerField: 'user' })(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should return 404 for missing resources', async () => {
+      req.user = { id: 'owner-id', role: 'user' };
+      loadPost.mockResolvedValue(null);
+
+      await requireOwnership(loadPost)(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json.mock.calls[0][0].error.code).toBe('NOT_FOUND');
+    });
+
+    test('should pass loader errors to the error handler', async () => {
+      const error = new Error('Cast to ObjectId failed');
+      req.user = { id: 'owner-id', role: 'user' };
+      loadPost.mockRejectedValue(error);
+
+      await requireOwnership(loadPost)(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('requireVerifiedEmail middleware', () => {
+    afterEach(() => {
+      delete process.env.EMAIL_VERIFICATION_POLICY;
+    });
+
+    test('should allow unverified users when the policy is off', () => {
+      req.currentUser = { emailVerified: false };
+
+      requireVerifiedEmail(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should block unverified users when the policy is limit', () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'limit';
+      req.currentUser = { emailVerified: false };
+
+      requireVerifiedEmail(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0].error.code).toBe('EMAIL_NOT_VERIFIED');
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should allow verified users when the policy is limit', () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'limit';
+      req.currentUser = { emailVerified: true };
+
+      requireVerifiedEmail(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+
   describe('requestLogger middleware', () => {
     let consoleSpy, dateSpy;
     
@@ -394,7 +728,10 @@ describe('Authentication Middleware', () => {
       const middleware = validateInput(mockSchema);
       middleware(req, res, next);
 
-      expect(mockSchema.validate).toHaveBeenCalledWith(req.body, { abortEarly: false });
+      expect(mockSchema.validate).toHaveBeenCalledWith(
+        req.body,
+        expect.objectContaining({ abortEarly: false, stripUnknown: true })
+      );
       expect(next).toHaveBeenCalledWith();
       expect(res.status).not.toHaveBeenCalled();
     });
@@ -428,6 +765,93 @@ describe('Authentication Middleware', () => {
       });
       expect(next).not.toHaveBeenCalled();
     });
+
+    describe('with Joi schemas', () => {
+      const schemas = {
+        params: Joi.object({ id: Joi.string().hex().required() }),
+        query: Joi.object({ page: Joi.number().integer().default(1) }),
+        body: Joi.object({
+          name: Joi.string().trim().required().label('Name'),
+          email: Joi.string().email().required().label('Email')
+        }),
+        missing: { message: 'Please provide name and email', code: 'MISSING_FIELDS' }
+      };
+
+      test('should replace each part with its validated value', () => {
+        req.params = { id: 'abc123' };
+        req.query = { page: '3' };
+        req.body = { name: '  John ', email: 'john@example.com', role: 'admin' };
+
+        validateInput(schemas)(req, res, next);
+
+        expect(next).toHaveBeenCalledWith();
+        expect(req.params).toEqual({ id: 'abc123' });
+        expect(req.query).toEqual({ page: 3 });
+        expect(req.body).toEqual({ name: 'John', email: 'john@example.com' });
+      });
+
+      test('should report one message per invalid field across parts', () => {
+        req.params = { id: 'not-hex' };
+        req.query = {};
+        req.body = { name: 'John', email: 'invalid' };
+
+        validateInput(schemas)(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+          error: expect.objectContaining({
+            code: 'VALIDATION_ERROR',
+            details: ['id must only contain hexadecimal characters', 'Email must be a valid email']
+          })
+        }));
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      test('should use the missing error when only required values are absent', () => {
+        req.params = { id: 'abc123' };
+        req.query = {};
+        req.body = { name: '' };
+
+        validateInput(schemas)(req, res, next);
+
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+          error: expect.objectContaining({
+            message: 'Please provide name and email',
+            code: 'MISSING_FIELDS',
+            details: ['Name is not allowed to be empty', 'Email is required']
+          })
+        }));
+      });
+
+      test('should not use the missing error for invalid values', () => {
+        req.params = { id: 'abc123' };
+        req.query = {};
+        req.body = { email: 'invalid' };
+
+        validateInput(schemas)(req, res, next);
+
+        expect(res.json.mock.calls[0][0].error.code).toBe('VALIDATION_ERROR');
+      });
+
+      test('should use the invalid error for other failures', () => {
+        req.params = { id: 'abc123' };
+        req.query = {};
+        req.body = { email: 'invalid' };
+
+        validateInput({
+          ...schemas,
+          invalid: { message: 'Invalid person', code: 'INVALID_PERSON' }
+        })(req, res, next);
+
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+          error: expect.objectContaining({
+            message: 'Invalid person',
+            code: 'INVALID_PERSON',
+            details: ['Name is required', 'Email must be a valid email']
+          })
+        }));
+      });
+    });
   });
 
   describe('rateLimit middleware', () => {
@@ -435,35 +859,40 @@ describe('Authentication Middleware', () => {
     
     beforeEach(() => {
       dateSpy = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      jest.spyOn(logger, 'logSecurity').mockImplementation(() => {});
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
     });
 
     afterEach(() => {
       dateSpy.mockRestore();
     });
 
-    test('should allow requests under the limit', () => {
+    test('should allow requests under the limit', async () => {
       req.ip = '192.168.1.1';
       const middleware = rateLimit(60000, 2); // 2 requests per minute
 
-      middleware(req, res, next);
+      await middleware(req, res, next);
       expect(next).toHaveBeenCalledTimes(1);
 
-      middleware(req, res, next);
+      await middleware(req, res, next);
       expect(next).toHaveBeenCalledTimes(2);
     });
 
-    test('should block requests over the limit', () => {
+    test('should block requests over the limit', async () => {
       req.ip = '192.168.1.1';
       const middleware = rateLimit(60000, 2); // 2 requests per minute
 
       // First two requests should pass
-      middleware(req, res, next);
-      middleware(req, res, next);
+      await middleware(req, res, next);
+      await middleware(req, res, next);
 
       // Third request should be blocked
-      middleware(req, res, next);
+      await middleware(req, res, next);
 
       expect(res.status).toHaveBeenCalledWith(429);
+      expect(logger.logSecurity).toHaveBeenCalledWith('Rate Limit Exceeded', expect.objectContaining({
+        ip: '192.168.1.1'
+      }));
       expect(res.json).toHaveBeenCalledWith({
         success: false,
         error: {
@@ -475,51 +904,174 @@ describe('Authentication Middleware', () => {
       });
     });
 
-    test('should reset counter after window expires', () => {
+    test('should reset counter after window expires', async () => {
       req.ip = '192.168.1.1';
       const middleware = rateLimit(1000, 1); // 1 request per second
 
       // First request
-      middleware(req, res, next);
+      await middleware(req, res, next);
       expect(next).toHaveBeenCalledTimes(1);
 
       // Second request (should be blocked)
-      middleware(req, res, next);
+      await middleware(req, res, next);
       expect(res.status).toHaveBeenCalledWith(429);
 
       // Advance time beyond window
       dateSpy.mockReturnValue(2001);
 
       // Third request (should pass after reset)
-      middleware(req, res, next);
+      await middleware(req, res, next);
       expect(next).toHaveBeenCalledTimes(2);
     });
 
-    test('should use connection.remoteAddress as fallback', () => {
+    test('should use connection.remoteAddress as fallback', async () => {
       req.ip = undefined;
       req.connection = { remoteAddress: '10.0.0.1' };
       const middleware = rateLimit(60000, 1);
 
-      middleware(req, res, next);
+      await middleware(req, res, next);
       expect(next).toHaveBeenCalledWith();
 
       // Second request from same IP should be blocked
-      middleware(req, res, next);
+      await middleware(req, res, next);
       expect(res.status).toHaveBeenCalledWith(429);
     });
 
-    test('should handle different IPs independently', () => {
+    test('should handle different IPs independently', async () => {
       const middleware = rateLimit(60000, 1); // 1 request per minute
 
       // First IP
       req.ip = '192.168.1.1';
-      middleware(req, res, next);
+      await middleware(req, res, next);
 
       // Second IP
       req.ip = '192.168.1.2';
-      middleware(req, res, next);
+      await middleware(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should slide the window instead of resetting it', async () => {
+      req.ip = '192.168.1.1';
+      const middleware = rateLimit(1000, 2);
+
+      await middleware(req, res, next);
+      dateSpy.mockReturnValue(1600);
+      await middleware(req, res, next);
+
+      // The first hit has left the window, the second has not
+      dateSpy.mockReturnValue(2001);
+      await middleware(req, res, next);
+      expect(next).toHaveBeenCalledTimes(3);
+
+      await middleware(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+
+    test('should set the RateLimit headers', async () => {
+      req.ip = '192.168.1.1';
+      const middleware = rateLimit(60000, 2);
+
+      await middleware(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith({
+        'RateLimit-Limit': '2',
+        'RateLimit-Remaining': '1',
+        'RateLimit-Reset': '60',
+        'RateLimit-Policy': '2;w=60'
+      });
+    });
+
+    test('should set Retry-After when rejecting', async () => {
+      req.ip = '192.168.1.1';
+      const middleware = rateLimit(60000, 1);
+
+      await middleware(req, res, next);
+      dateSpy.mockReturnValue(21000);
+      await middleware(req, res, next);
+
+      expect(res.set).toHaveBeenLastCalledWith('Retry-After', '40');
+    });
+
+    test('should count each policy separately', async () => {
+      req.ip = '192.168.1.1';
+      const login = rateLimit({ name: 'login', windowMs: 60000, max: 1 });
+      const register = rateLimit({ name: 'register', windowMs: 60000, max: 1 });
+
+      await login(req, res, next);
+      await register(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should key user policies by user id', async () => {
+      const middleware = rateLimit({ windowMs: 60000, max: 1, keyBy: 'user' });
+
+      req.ip = '192.168.1.1';
+      req.user = { id: 'user-1' };
+      await middleware(req, res, next);
 
+      // Same user from another IP
+      req.ip = '192.168.1.2';
+      await middleware(req, res, next);
+      expect(res.status).toHaveBeenCalledWith(429);
+
+      // Another user from the first IP
+      req.ip = '192.168.1.1';
+      req.user = { id: 'user-2' };
+      await middleware(req, res, next);
       expect(next).toHaveBeenCalledTimes(2);
     });
+
+    test('should fall back to the IP for anonymous requests on user policies', async () => {
+      req.ip = '192.168.1.1';
+      const middleware = rateLimit({ windowMs: 60000, max: 1, keyBy: 'user' });
+
+      await middleware(req, res, next);
+      await middleware(req, res, next);
+
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+
+    test('should resolve max per request', async () => {
+      req.ip = '192.168.1.1';
+      const max = jest.fn(r => (r.user.role === 'admin' ? 2 : 1));
+      const middleware = rateLimit({ windowMs: 60000, max, keyBy: 'user' });
+
+      req.user = { id: 'admin-1', role: 'admin' };
+      await middleware(req, res, next);
+      await middleware(req, res, next);
+
+      expect(max).toHaveBeenCalledWith(req);
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not count skipped requests', async () => {
+      req.ip = '192.168.1.1';
+      const store = { hit: jest.fn() };
+      const middleware = rateLimit({ windowMs: 60000, max: 1, store, skip: () => true });
+
+      await middleware(req, res, next);
+
+      expect(store.hit).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith();
+    });
+
+    test('should let requests through when the store fails', async () => {
+      req.ip = '192.168.1.1';
+      const store = { hit: jest.fn().mockRejectedValue(new Error('connection lost')) };
+      const middleware = rateLimit({ name: 'api', windowMs: 60000, max: 1, store });
+
+      await middleware(req, res, next);
+
+      expect(store.hit).toHaveBeenCalledWith('api:ip:192.168.1.1', {
+        windowMs: 60000,
+        max: 1,
+        now: 1000
+      });
+      expect(next).toHaveBeenCalledWith();
+      expect(res.status).not.toHaveBeenCalled();
+      expect(logger.error).toHaveBeenCalledWith('Rate limit store failed: connection lost');
+    });
   });
 });
\ No newline at end of file
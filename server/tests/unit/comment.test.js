@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Comment = require('../../src/models/Comment');
+
+describe('Comment model', () => {
+  const post = new mongoose.Types.ObjectId();
+  const author = new mongoose.Types.ObjectId();
+
+  const makeComment = (fields = {}) => new Comment({
+    post,
+    author,
+    content: 'A comment',
+    createdAt: new Date(),
+    ...fields
+  });
+
+  afterEach(() => {
+    delete process.env.COMMENT_EDIT_WINDOW_MINUTES;
+    delete process.env.COMMENT_MAX_DEPTH;
+  });
+
+  describe('isEditable', () => {
+    test('should allow edits within the window', () => {
+      const comment = makeComment({ createdAt: new Date(Date.now() - 14 * 60 * 1000) });
+
+      expect(comment.isEditable()).toBe(true);
+    });
+
+    test('should refuse edits after the window', () => {
+      const comment = makeComment({ createdAt: new Date(Date.now() - 16 * 60 * 1000) });
+
+      expect(comment.isEditable()).toBe(false);
+    });
+
+    test('should honour a configured window', () => {
+      process.env.COMMENT_EDIT_WINDOW_MINUTES = '60';
+      const comment = makeComment({ createdAt: new Date(Date.now() - 30 * 60 * 1000) });
+
+      expect(comment.isEditable()).toBe(true);
+    });
+
+    test('should refuse edits to deleted comments', () => {
+      const comment = makeComment({ status: 'deleted' });
+
+      expect(comment.isEditable()).toBe(false);
+    });
+  });
+
+  describe('getMaxDepth', () => {
+    test('should default to 5 and be configurable', () => {
+      expect(Comment.getMaxDepth()).toBe(5);
+
+      process.env.COMMENT_MAX_DEPTH = '2';
+      expect(Comment.getMaxDepth()).toBe(2);
+    });
+  });
+
+  describe('softDelete', () => {
+    test('should mark author deletions as deleted', () => {
+      const comment = makeComment();
+
+      comment.softDelete(author);
+
+      expect(comment.status).toBe('deleted');
+      expect(comment.deletedAt).toBeInstanceOf(Date);
+      expect(comment.deletedBy).toEqual(author);
+    });
+
+    test('should mark moderator deletions as removed', () => {
+      const moderator = new mongoose.Types.ObjectId();
+      const comment = makeComment();
+
+      comment.softDelete(moderator, { moderator: true });
+
+      expect(comment.status).toBe('removed');
+      expect(comment.deletedBy).toEqual(moderator);
+    });
+  });
+
+  describe('toJSON', () => {
+    test('should hide the content and author of deleted comments', () => {
+      const comment = makeComment();
+      comment.softDelete(author);
+
+      const json = comment.toJSON();
+
+      expect(json.content).toBeNull();
+      expect(json.author).toBeNull();
+      expect(json).not.toHaveProperty('deletedBy');
+      expect(json.status).toBe('deleted');
+    });
+
+    test('should keep visible comments intact', () => {
+      const json = makeComment().toJSON();
+
+      expect(json.content).toBe('A comment');
+      expect(json.author).toEqual(author);
+    });
+  });
+
+  describe('buildThread', () => {
+    test('should nest replies under their parents in order', () => {
+      const root = makeComment({ content: 'root' });
+      const reply = makeComment({ content: 'reply', parent: root._id, depth: 1 });
+      const nested = makeComment({ content: 'nested', parent: reply._id, depth: 2 });
+      const other = makeComment({ content: 'other' });
+
+      const thread = Comment.buildThread([root, reply, other, nested]);
+
+      expect(thread.map(c => c.content)).toEqual(['root', 'other']);
+      expect(thread[0].replies.map(c => c.content)).toEqual(['reply']);
+      expect(thread[0].replies[0].replies.map(c => c.content)).toEqual(['nested']);
+      expect(thread[1].replies).toEqual([]);
+    });
+
+    test('should keep deleted comments as placeholders', () => {
+      const root = makeComment({ content: 'root' });
+      root.softDelete(author);
+      const reply = makeComment({ content: 'reply', parent: root._id, depth: 1 });
+
+      const thread = Comment.buildThread([root, reply]);
+
+      expect(thread[0].content).toBeNull();
+      expect(thread[0].replies[0].content).toBe('reply');
+    });
+  });
+});
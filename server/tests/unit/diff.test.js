@@ -0,0 +1,99 @@
+const { getMaxDiffEdits, splitLines, diffLines, summarizeDiff } = require('../../src/utils/diff');
+
+// Render a diff in unified style for compact assertions
+const render = (changes) => changes.map(change => ({
+  equal: ' ',
+  insert: '+',
+  delete: '-'
+}[change.type] + change.content));
+
+describe('Diff Utilities', () => {
+  describe('splitLines', () => {
+    test('should split on both line ending styles', () => {
+      expect(splitLines('a\nb\r\nc')).toEqual(['a', 'b', 'c']);
+    });
+
+    test('should treat empty text as no lines', () => {
+      expect(splitLines('')).toEqual([]);
+      expect(splitLines(undefined)).toEqual([]);
+    });
+  });
+
+  describe('diffLines', () => {
+    test('should produce a minimal diff', () => {
+      const changes = diffLines('a\nb\nc\na\nb\nb\na', 'c\nb\na\nb\na\nc');
+
+      expect(render(changes)).toEqual([
+        '-a', '-b', ' c', '+b', ' a', ' b', '-b', ' a', '+c'
+      ]);
+    });
+
+    test('should number lines on each side', () => {
+      const changes = diffLines('one\ntwo', 'one\n2\ntwo');
+
+      expect(changes).toEqual([
+        { type: 'equal', content: 'one', oldLine: 1, newLine: 1 },
+        { type: 'insert', content: '2', oldLine: null, newLine: 2 },
+        { type: 'equal', content: 'two', oldLine: 2, newLine: 3 }
+      ]);
+    });
+
+    test('should handle additions to and removals from empty text', () => {
+      expect(render(diffLines('', 'x\ny'))).toEqual(['+x', '+y']);
+      expect(render(diffLines('x\ny', ''))).toEqual(['-x', '-y']);
+      expect(diffLines('', '')).toEqual([]);
+    });
+
+    test('should report identical texts as unchanged', () => {
+      expect(render(diffLines('same\ntext', 'same\ntext'))).toEqual([' same', ' text']);
+    });
+
+    test('should show a changed line as a removal and an addition', () => {
+      expect(render(diffLines('hello\nworld', 'hello\nthere'))).toEqual([
+        ' hello', '-world', '+there'
+      ]);
+    });
+  });
+
+  describe('edit limit', () => {
+    afterEach(() => {
+      delete process.env.REVISION_DIFF_MAX_EDITS;
+    });
+
+    test('should default to 1000 edits and honour REVISION_DIFF_MAX_EDITS', () => {
+      expect(getMaxDiffEdits()).toBe(1000);
+
+      process.env.REVISION_DIFF_MAX_EDITS = '50';
+      expect(getMaxDiffEdits()).toBe(50);
+    });
+
+    test('should give up past the limit', () => {
+      expect(diffLines('a\nb\nc', 'x\ny\nz', { maxEdits: 5 })).toBeNull();
+      expect(render(diffLines('a\nb\nc', 'a\ny\nc', { maxEdits: 2 }))).toEqual([' a', '-b', '+y', ' c']);
+    });
+
+    test('should stay fast on large, completely different texts', () => {
+      const lines = (prefix) => Array.from({ length: 50000 }, (_, i) => `${prefix}${i}`).join('\n');
+      const started = Date.now();
+
+      expect(diffLines(lines('a'), lines('b'))).toBeNull();
+      expect(Date.now() - started).toBeLessThan(2000);
+    });
+
+    test('should diff texts within the limit however long they are', () => {
+      const base = Array.from({ length: 20000 }, (_, i) => `line ${i}`);
+      const changed = [...base];
+      changed[10000] = 'edited';
+
+      expect(summarizeDiff(diffLines(base.join('\n'), changed.join('\n')))).toEqual({ added: 1, removed: 1 });
+    });
+  });
+
+  describe('summarizeDiff', () => {
+    test('should count added and removed lines', () => {
+      const changes = diffLines('a\nb\nc', 'a\nc\nd\ne');
+
+      expect(summarizeDiff(changes)).toEqual({ added: 2, removed: 1 });
+    });
+  });
+});
@@ -8,6 +8,11 @@ const {
   hashPassword,
   comparePassword,
   getPaginationOptions,
+  escapeRegex,
+  slugify,
+  normalizeTag,
+  normalizeTags,
+  parseTrustProxy,
   logRequest
 } = require('../../src/utils/helpers');
 
@@ -290,6 +295,97 @@ describe('Server Utility Functions', () => {
     });
   });
 
+  describe('escapeRegex', () => {
+    test('should escape regex metacharacters', () => {
+      expect(escapeRegex('a.b*c')).toBe('a\\.b\\*c');
+      expect(new RegExp(escapeRegex('(.*)+[x]')).test('(.*)+[x]')).toBe(true);
+      expect(new RegExp(`^${escapeRegex('a.c')}$`).test('abc')).toBe(false);
+    });
+  });
+
+  describe('slugify', () => {
+    test('should lowercase and hyphenate words', () => {
+      expect(slugify('Hello World')).toBe('hello-world');
+      expect(slugify('  Testing   MERN  Apps ')).toBe('testing-mern-apps');
+    });
+
+    test('should drop punctuation and collapse hyphens', () => {
+      expect(slugify('What\'s new in v2.0?')).toBe('whats-new-in-v20');
+      expect(slugify('--a -- b--')).toBe('a-b');
+    });
+
+    test('should transliterate non-ASCII letters', () => {
+      expect(slugify('Crème Brûlée')).toBe('creme-brulee');
+      expect(slugify('Straße & Café')).toBe('strasse-cafe');
+      expect(slugify('Ærøskøbing Łódź')).toBe('aeroskobing-lodz');
+      expect(slugify('Привет мир')).toBe('privet-mir');
+      expect(slugify('Ελληνικά')).toBe('ellinika');
+    });
+
+    test('should drop characters it cannot transliterate', () => {
+      expect(slugify('日本語 title')).toBe('title');
+      expect(slugify('日本語')).toBe('');
+    });
+
+    test('should handle invalid input', () => {
+      expect(slugify('')).toBe('');
+      expect(slugify(null)).toBe('');
+      expect(slugify(123)).toBe('');
+    });
+  });
+
+  describe('normalizeTag', () => {
+    test('should lowercase and hyphenate whitespace', () => {
+      expect(normalizeTag('  Machine   Learning ')).toBe('machine-learning');
+      expect(normalizeTag('snake_case')).toBe('snake-case');
+    });
+
+    test('should strip leading hashes', () => {
+      expect(normalizeTag('#JavaScript')).toBe('javascript');
+    });
+
+    test('should keep meaningful punctuation', () => {
+      expect(normalizeTag('C++')).toBe('c++');
+      expect(normalizeTag('Node.js')).toBe('node.js');
+    });
+
+    test('should handle invalid input', () => {
+      expect(normalizeTag('  -  ')).toBe('');
+      expect(normalizeTag(null)).toBe('');
+      expect(normalizeTag(42)).toBe('');
+    });
+  });
+
+  describe('normalizeTags', () => {
+    test('should accept arrays and comma-separated strings', () => {
+      expect(normalizeTags(['React', 'Hooks'])).toEqual(['react', 'hooks']);
+      expect(normalizeTags('react, hooks')).toEqual(['react', 'hooks']);
+    });
+
+    test('should drop empty tags and duplicates', () => {
+      expect(normalizeTags(['React', '', 'react', ' REACT ', '#'])).toEqual(['react']);
+    });
+
+    test('should return an empty list for invalid input', () => {
+      expect(normalizeTags(undefined)).toEqual([]);
+      expect(normalizeTags({ tag: 'x' })).toEqual([]);
+    });
+  });
+
+  describe('parseTrustProxy', () => {
+    test('should trust no proxy when unset', () => {
+      expect(parseTrustProxy(undefined)).toBe(false);
+      expect(parseTrustProxy('')).toBe(false);
+      expect(parseTrustProxy('false')).toBe(false);
+    });
+
+    test('should accept booleans, hop counts and addresses', () => {
+      expect(parseTrustProxy('true')).toBe(true);
+      expect(parseTrustProxy(' 2 ')).toBe(2);
+      expect(parseTrustProxy('loopback, 10.0.0.0/8')).toBe('loopback, 10.0.0.0/8');
+    });
+  });
+
   describe('logRequest', () => {
     test('should extract request information', () => {
       const mockReq = {
@@ -0,0 +1,192 @@
+const LoginThrottle = require('../../src/models/LoginThrottle');
+const {
+  THROTTLE_SCOPES,
+  isThrottleEnabled,
+  getThrottlePolicy,
+  normalizeEmail,
+  getThrottleDelay,
+  checkThrottle,
+  registerThrottledAttempt,
+  clearThrottle
+} = require('../../src/utils/loginThrottle');
+
+describe('Login throttling', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    process.env.LOGIN_THROTTLE_ENABLED = 'true';
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe('isThrottleEnabled', () => {
+    test('should be on outside of tests, whatever the IP rate limits', () => {
+      delete process.env.LOGIN_THROTTLE_ENABLED;
+      process.env.NODE_ENV = 'production';
+      process.env.RATE_LIMIT_ENABLED = 'false';
+      expect(isThrottleEnabled()).toBe(true);
+
+      process.env.LOGIN_THROTTLE_ENABLED = 'false';
+      expect(isThrottleEnabled()).toBe(false);
+    });
+
+    test('should be off in tests unless enabled explicitly', () => {
+      delete process.env.LOGIN_THROTTLE_ENABLED;
+      process.env.NODE_ENV = 'test';
+      expect(isThrottleEnabled()).toBe(false);
+
+      process.env.LOGIN_THROTTLE_ENABLED = 'true';
+      expect(isThrottleEnabled()).toBe(true);
+    });
+  });
+
+  describe('getThrottlePolicy', () => {
+    test('should use defaults', () => {
+      expect(getThrottlePolicy()).toEqual({
+        freeAttempts: 3,
+        baseDelayMs: 1000,
+        maxDelayMs: 15 * 60 * 1000,
+        resetMs: 60 * 60 * 1000
+      });
+    });
+
+    test('should read the environment', () => {
+      process.env.LOGIN_THROTTLE_FREE_ATTEMPTS = '0';
+      process.env.LOGIN_THROTTLE_BASE_DELAY_MS = '500';
+      process.env.LOGIN_THROTTLE_MAX_DELAY_MS = '8000';
+      process.env.LOGIN_THROTTLE_RESET_MINUTES = '10';
+
+      expect(getThrottlePolicy()).toEqual({
+        freeAttempts: 0,
+        baseDelayMs: 500,
+        maxDelayMs: 8000,
+        resetMs: 10 * 60 * 1000
+      });
+    });
+  });
+
+  describe('getThrottleDelay', () => {
+    const policy = { freeAttempts: 3, baseDelayMs: 1000, maxDelayMs: 10000 };
+
+    test('should not delay the free attempts', () => {
+      expect(getThrottleDelay(1, policy)).toBe(0);
+      expect(getThrottleDelay(3, policy)).toBe(0);
+    });
+
+    test('should double the delay for each further attempt up to the cap', () => {
+      expect([4, 5, 6, 7, 8, 20].map(attempts => getThrottleDelay(attempts, policy)))
+        .toEqual([1000, 2000, 4000, 8000, 10000, 10000]);
+    });
+  });
+
+  describe('normalizeEmail', () => {
+    test('should fold case, whitespace and compatibility characters', () => {
+      expect(normalizeEmail('  Alice@Example.COM ')).toBe('alice@example.com');
+      expect(normalizeEmail('ａｌｉｃｅ@example.com')).toBe('alice@example.com');
+      expect(normalizeEmail(undefined)).toBe('');
+    });
+  });
+
+  describe('store access', () => {
+    beforeEach(() => {
+      jest.spyOn(LoginThrottle, 'getRetryAfter').mockResolvedValue(0);
+      jest.spyOn(LoginThrottle, 'registerAttempt').mockResolvedValue(0);
+      jest.spyOn(LoginThrottle, 'deleteOne').mockResolvedValue({});
+    });
+
+    test('should share one hashed key between variants of an email', async () => {
+      await checkThrottle(THROTTLE_SCOPES.LOGIN, 'Alice@Example.com');
+      await checkThrottle(THROTTLE_SCOPES.LOGIN, ' alice@example.com');
+
+      const [[first], [second]] = LoginThrottle.getRetryAfter.mock.calls;
+      expect(first).toBe(second);
+      expect(first).toMatch(/^[0-9a-f]{64}$/);
+      expect(first).not.toContain('alice');
+    });
+
+    test('should count each flow separately', async () => {
+      await registerThrottledAttempt(THROTTLE_SCOPES.LOGIN, 'alice@example.com');
+      await registerThrottledAttempt(THROTTLE_SCOPES.PASSWORD_RESET, 'alice@example.com');
+
+      const [[loginKey], [resetKey]] = LoginThrottle.registerAttempt.mock.calls;
+      expect(loginKey).not.toBe(resetKey);
+    });
+
+    test('should pass the policy to the model', async () => {
+      process.env.LOGIN_THROTTLE_FREE_ATTEMPTS = '1';
+
+      await registerThrottledAttempt(THROTTLE_SCOPES.LOGIN, 'alice@example.com');
+
+      const [, { getDelay, resetMs }] = LoginThrottle.registerAttempt.mock.calls[0];
+      expect(getDelay(1)).toBe(0);
+      expect(getDelay(2)).toBe(1000);
+      expect(resetMs).toBe(60 * 60 * 1000);
+    });
+
+    test('should clear the key', async () => {
+      await clearThrottle(THROTTLE_SCOPES.LOGIN, 'alice@example.com');
+
+      expect(LoginThrottle.deleteOne).toHaveBeenCalledWith({ key: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    });
+
+    test('should do nothing when the throttle is disabled', async () => {
+      process.env.LOGIN_THROTTLE_ENABLED = 'false';
+
+      expect(await checkThrottle(THROTTLE_SCOPES.LOGIN, 'alice@example.com')).toBe(0);
+      expect(await registerThrottledAttempt(THROTTLE_SCOPES.LOGIN, 'alice@example.com')).toBe(0);
+      await clearThrottle(THROTTLE_SCOPES.LOGIN, 'alice@example.com');
+
+      expect(LoginThrottle.getRetryAfter).not.toHaveBeenCalled();
+      expect(LoginThrottle.registerAttempt).not.toHaveBeenCalled();
+      expect(LoginThrottle.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('LoginThrottle model', () => {
+    test('should delay the next attempt once getDelay asks for it', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(10000);
+      jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockResolvedValue({ attempts: 4 });
+      const updateOne = jest.spyOn(LoginThrottle, 'updateOne').mockResolvedValue({});
+      const getDelay = jest.fn().mockReturnValue(2000);
+
+      const delay = await LoginThrottle.registerAttempt('key', { getDelay, resetMs: 5000 });
+
+      expect(delay).toBe(2000);
+      expect(getDelay).toHaveBeenCalledWith(4);
+      expect(LoginThrottle.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: 'key' },
+        { $inc: { attempts: 1 }, $set: { expiresAt: new Date(15000) } },
+        { upsert: true, new: true, lean: true }
+      );
+      expect(updateOne).toHaveBeenCalledWith(
+        { key: 'key' },
+        { $max: { nextAttemptAt: new Date(12000), expiresAt: new Date(17000) } }
+      );
+    });
+
+    test('should not delay free attempts', async () => {
+      jest.spyOn(LoginThrottle, 'findOneAndUpdate').mockResolvedValue({ attempts: 1 });
+      const updateOne = jest.spyOn(LoginThrottle, 'updateOne').mockResolvedValue({});
+
+      const delay = await LoginThrottle.registerAttempt('key', { getDelay: () => 0, resetMs: 5000 });
+
+      expect(delay).toBe(0);
+      expect(updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should report the time left before the next attempt', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(10000);
+      const lean = jest.fn()
+        .mockResolvedValueOnce({ nextAttemptAt: new Date(13000) })
+        .mockResolvedValueOnce({ nextAttemptAt: new Date(9000) })
+        .mockResolvedValueOnce(null);
+      jest.spyOn(LoginThrottle, 'findOne').mockReturnValue({ select: () => ({ lean }) });
+
+      expect(await LoginThrottle.getRetryAfter('key')).toBe(3000);
+      expect(await LoginThrottle.getRetryAfter('key')).toBe(0);
+      expect(await LoginThrottle.getRetryAfter('key')).toBe(0);
+    });
+  });
+});
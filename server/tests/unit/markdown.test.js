@@ -0,0 +1,89 @@
+const Post = require('../../src/models/Post');
+const { RENDERER_VERSION, renderMarkdown } = require('../../src/utils/markdown');
+
+describe('Markdown rendering', () => {
+  describe('renderMarkdown', () => {
+    test('should render common Markdown', () => {
+      const html = renderMarkdown('# Title\n\nSome **bold** and _italic_ text.\n\n- one\n- two');
+
+      expect(html).toContain('<h1>Title</h1>');
+      expect(html).toContain('<strong>bold</strong>');
+      expect(html).toContain('<em>italic</em>');
+      expect(html).toContain('<li>one</li>');
+    });
+
+    test('should keep fenced code blocks with their language', () => {
+      const html = renderMarkdown('```js\nconst tag = "<b>";\n```');
+
+      expect(html).toContain('<pre><code class="language-js">');
+      expect(html).toContain('const tag = "&lt;b&gt;";');
+    });
+
+    test('should strip scripts and event handlers from raw HTML', () => {
+      const html = renderMarkdown('<script>alert(1)</script>\n\n<img src="https://example.com/a.png" onerror="alert(1)">');
+
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('alert(1)');
+      expect(html).toContain('<img src="https://example.com/a.png" />');
+    });
+
+    test('should drop unsafe link and image URLs', () => {
+      const html = renderMarkdown('[click](javascript:alert(1)) ![pic](data:image/png;base64,AAAA)');
+
+      expect(html).not.toContain('javascript:');
+      expect(html).not.toContain('data:');
+    });
+
+    test('should mark links as nofollow', () => {
+      const html = renderMarkdown('[site](https://example.com "Example")');
+
+      expect(html).toBe(
+        '<p><a href="https://example.com" title="Example" rel="nofollow noopener noreferrer">site</a></p>\n'
+      );
+    });
+
+    test('should strip disallowed classes and styles', () => {
+      const html = renderMarkdown('<p class="evil" style="position:fixed">text</p>');
+
+      expect(html).toBe('<p>text</p>');
+    });
+
+    test('should return an empty string for empty input', () => {
+      expect(renderMarkdown('')).toBe('');
+      expect(renderMarkdown(undefined)).toBe('');
+    });
+  });
+
+  describe('Post content', () => {
+    const makePost = (fields = {}) => new Post({
+      title: 'Markdown',
+      content: 'Hello **world**',
+      author: '507f1f77bcf86cd799439011',
+      slug: 'markdown',
+      ...fields
+    });
+
+    test('should cache the rendered HTML with the renderer version', () => {
+      const post = makePost();
+
+      expect(post.renderContent()).toBe('<p>Hello <strong>world</strong></p>\n');
+      expect(post.contentHtml).toBe('<p>Hello <strong>world</strong></p>\n');
+      expect(post.contentHtmlVersion).toBe(RENDERER_VERSION);
+    });
+
+    test('should render outdated HTML on output without exposing the version', () => {
+      const post = makePost({ contentHtml: '<p>stale</p>', contentHtmlVersion: RENDERER_VERSION - 1 });
+
+      const json = post.toJSON();
+
+      expect(json.contentHtml).toBe('<p>Hello <strong>world</strong></p>\n');
+      expect(json).not.toHaveProperty('contentHtmlVersion');
+    });
+
+    test('should use the cached HTML when it is current', () => {
+      const post = makePost({ contentHtml: '<p>cached</p>', contentHtmlVersion: RENDERER_VERSION });
+
+      expect(post.toJSON().contentHtml).toBe('<p>cached</p>');
+    });
+  });
+});
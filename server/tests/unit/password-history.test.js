@@ -0,0 +1,91 @@
+const bcrypt = require('bcryptjs');
+const User = require('../../src/models/User');
+
+describe('Password history', () => {
+  // Low cost keeps the hashing fast
+  const hash = (password) => bcrypt.hashSync(password, 4);
+
+  // A user as loaded from the database, with the hidden fields selected
+  const makeUser = (password, history = []) => User.hydrate({
+    _id: '507f1f77bcf86cd799439011',
+    name: 'History User',
+    email: 'history@example.com',
+    password: hash(password),
+    passwordHistory: history.map(hash)
+  });
+
+  afterEach(() => {
+    delete process.env.PASSWORD_HISTORY_SIZE;
+  });
+
+  describe('getPasswordHistorySize', () => {
+    test('should default to 5', () => {
+      expect(User.getPasswordHistorySize()).toBe(5);
+    });
+
+    test('should allow 0', () => {
+      process.env.PASSWORD_HISTORY_SIZE = '0';
+
+      expect(User.getPasswordHistorySize()).toBe(0);
+    });
+  });
+
+  describe('isPasswordReused', () => {
+    test('should reject the current password', async () => {
+      const user = makeUser('Current$Pass1');
+
+      await expect(user.isPasswordReused('Current$Pass1')).resolves.toBe(true);
+    });
+
+    test('should reject remembered passwords', async () => {
+      const user = makeUser('Current$Pass1', ['Older$Pass2', 'Oldest$Pass3']);
+
+      await expect(user.isPasswordReused('Oldest$Pass3')).resolves.toBe(true);
+      await expect(user.isPasswordReused('Brand$New4')).resolves.toBe(false);
+    });
+
+    test('should only look as far back as the configured size', async () => {
+      process.env.PASSWORD_HISTORY_SIZE = '1';
+      const user = makeUser('Current$Pass1', ['Older$Pass2', 'Oldest$Pass3']);
+
+      await expect(user.isPasswordReused('Older$Pass2')).resolves.toBe(true);
+      await expect(user.isPasswordReused('Oldest$Pass3')).resolves.toBe(false);
+    });
+  });
+
+  describe('setPassword', () => {
+    test('should move the old hash to the front of the history', () => {
+      const user = makeUser('Current$Pass1', ['Older$Pass2']);
+      const [oldHash, olderHash] = [user.password, user.passwordHistory[0]];
+
+      user.setPassword('Brand$New4');
+
+      expect(user.password).toBe('Brand$New4');
+      expect(user.passwordHistory).toEqual([oldHash, olderHash]);
+    });
+
+    test('should keep at most the configured number of hashes', () => {
+      process.env.PASSWORD_HISTORY_SIZE = '2';
+      const user = makeUser('Current$Pass1', ['Older$Pass2', 'Oldest$Pass3']);
+
+      user.setPassword('Brand$New4');
+
+      expect(user.passwordHistory).toHaveLength(2);
+    });
+
+    test('should not remember an unsaved password set twice', () => {
+      const user = makeUser('Current$Pass1');
+
+      user.setPassword('Brand$New4');
+      user.setPassword('Brand$New5');
+
+      expect(user.passwordHistory).toHaveLength(1);
+    });
+
+    test('should never expose the history', () => {
+      const user = makeUser('Current$Pass1', ['Older$Pass2']);
+
+      expect(user.toJSON()).not.toHaveProperty('passwordHistory');
+    });
+  });
+});
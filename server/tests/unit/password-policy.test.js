@@ -0,0 +1,83 @@
+const { validatePassword, isCommonPassword, getPasswordPolicy } = require('../../src/utils/passwordPolicy');
+
+describe('Password policy', () => {
+  const user = { name: 'Jane Doe', email: 'jane.doe@example.com' };
+
+  afterEach(() => {
+    delete process.env.PASSWORD_MIN_LENGTH;
+    delete process.env.PASSWORD_REQUIRE_SYMBOL;
+  });
+
+  describe('validatePassword', () => {
+    test('should accept a strong password', () => {
+      expect(validatePassword('Tr1cky&Horse', user)).toEqual({ isValid: true, errors: [] });
+    });
+
+    test('should report every rule the password breaks, like the client', () => {
+      expect(validatePassword('abc', user).errors).toEqual([
+        'Password must be at least 8 characters long',
+        'Password must contain at least one uppercase letter',
+        'Password must contain at least one number',
+        'Password must contain at least one special character',
+        'Password is too common'
+      ]);
+    });
+
+    test('should require a password', () => {
+      expect(validatePassword('', user)).toEqual({ isValid: false, errors: ['Password is required'] });
+      expect(validatePassword(undefined).isValid).toBe(false);
+    });
+
+    test('should only count the client\'s symbols', () => {
+      expect(validatePassword('Tr1ckyHorse#').errors).toEqual([
+        'Password must contain at least one special character'
+      ]);
+    });
+
+    test('should reject passwords containing the user\'s name', () => {
+      expect(validatePassword('JaneRocks1!', user).errors).toEqual([
+        'Password must not contain your name or email'
+      ]);
+      expect(validatePassword('xJANEDOEx1!', user).isValid).toBe(false);
+    });
+
+    test('should reject passwords containing the email address', () => {
+      expect(validatePassword('Jane.Doe1!x', { email: 'jane.doe@example.com' }).isValid).toBe(false);
+      expect(validatePassword('Doe$Strong12', { email: 'jane.doe@example.com' }).isValid).toBe(false);
+    });
+
+    test('should ignore very short name parts', () => {
+      expect(validatePassword('Tr1cky&Horse', { name: 'Al Tr' }).isValid).toBe(true);
+    });
+  });
+
+  describe('isCommonPassword', () => {
+    test('should match ignoring case and trailing digits or symbols', () => {
+      expect(isCommonPassword('password')).toBe(true);
+      expect(isCommonPassword('Password123!')).toBe(true);
+      expect(isCommonPassword('P@ssw0rd2024')).toBe(true);
+      expect(isCommonPassword('Tr1cky&Horse')).toBe(false);
+    });
+  });
+
+  describe('configuration', () => {
+    test('should default to the client rules', () => {
+      expect(getPasswordPolicy()).toEqual({
+        minLength: 8,
+        requireLowercase: true,
+        requireUppercase: true,
+        requireNumber: true,
+        requireSymbol: true
+      });
+    });
+
+    test('should read the settings from the environment', () => {
+      process.env.PASSWORD_MIN_LENGTH = '12';
+      process.env.PASSWORD_REQUIRE_SYMBOL = 'false';
+
+      expect(validatePassword('Tr1ckyHorse').errors).toEqual([
+        'Password must be at least 12 characters long'
+      ]);
+    });
+  });
+});
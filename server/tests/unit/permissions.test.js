@@ -0,0 +1,83 @@
+const {
+  getPermissions,
+  hasPermission,
+  isOwner,
+  canModify
+} = require('../../src/utils/permissions');
+const { PERMISSIONS } = require('../../src/config/permissions');
+
+describe('Permission Utilities', () => {
+  describe('getPermissions', () => {
+    test('should give each role everything the role below it has', () => {
+      const user = getPermissions('user');
+      const moderator = getPermissions('moderator');
+      const admin = getPermissions('admin');
+
+      expect(moderator).toEqual(expect.arrayContaining(user));
+      expect(admin).toEqual(expect.arrayContaining(moderator));
+    });
+
+    test('should grant admins every permission', () => {
+      expect(getPermissions('admin')).toEqual(
+        expect.arrayContaining(Object.values(PERMISSIONS))
+      );
+    });
+
+    test('should return no permissions for unknown roles', () => {
+      expect(getPermissions('guest')).toEqual([]);
+      expect(getPermissions(undefined)).toEqual([]);
+    });
+  });
+
+  describe('hasPermission', () => {
+    test('should give moderators moderation rights only', () => {
+      expect(hasPermission('moderator', PERMISSIONS.POSTS_MODERATE)).toBe(true);
+      expect(hasPermission('moderator', PERMISSIONS.USERS_READ)).toBe(true);
+      expect(hasPermission('moderator', PERMISSIONS.USERS_DELETE)).toBe(false);
+      expect(hasPermission('moderator', PERMISSIONS.USERS_MANAGE_ROLES)).toBe(false);
+    });
+
+    test('should keep regular users to their own content', () => {
+      expect(hasPermission('user', PERMISSIONS.POSTS_CREATE)).toBe(true);
+      expect(hasPermission('user', PERMISSIONS.POSTS_MODERATE)).toBe(false);
+      expect(hasPermission('user', PERMISSIONS.USERS_READ)).toBe(false);
+    });
+  });
+
+  describe('isOwner', () => {
+    const user = { id: '507f1f77bcf86cd799439011', role: 'user' };
+
+    test('should compare ids as strings', () => {
+      const resource = { author: { toString: () => user.id } };
+
+      expect(isOwner(user, resource)).toBe(true);
+    });
+
+    test('should handle populated owners', () => {
+      expect(isOwner(user, { author: { _id: user.id, name: 'Jane' } })).toBe(true);
+    });
+
+    test('should reject other owners and missing data', () => {
+      expect(isOwner(user, { author: 'someone-else' })).toBe(false);
+      expect(isOwner(user, {})).toBe(false);
+      expect(isOwner(null, { author: user.id })).toBe(false);
+    });
+  });
+
+  describe('canModify', () => {
+    const resource = { author: 'owner-id' };
+
+    test('should allow the owner without any permission', () => {
+      expect(canModify({ id: 'owner-id', role: 'user' }, resource)).toBe(true);
+    });
+
+    test('should allow the overriding permission', () => {
+      expect(canModify({ id: 'other', role: 'moderator' }, resource, PERMISSIONS.POSTS_MODERATE)).toBe(true);
+      expect(canModify({ id: 'other', role: 'user' }, resource, PERMISSIONS.POSTS_MODERATE)).toBe(false);
+    });
+
+    test('should not allow anyone else when no permission is given', () => {
+      expect(canModify({ id: 'other', role: 'admin' }, resource)).toBe(false);
+    });
+  });
+});
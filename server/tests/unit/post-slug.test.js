@@ -0,0 +1,113 @@
+const Post = require('../../src/models/Post');
+
+// Stub Post.find(...).select(...).lean() with the given existing posts
+const mockExistingPosts = (posts) => {
+  const lean = jest.fn().mockResolvedValue(posts);
+  const find = jest.spyOn(Post, 'find').mockReturnValue({
+    select: jest.fn().mockReturnValue({ lean })
+  });
+  return find;
+};
+
+describe('Post slugs', () => {
+  describe('generateUniqueSlug', () => {
+    test('should use the plain slug when it is free', async () => {
+      mockExistingPosts([]);
+
+      await expect(Post.generateUniqueSlug('Hello World')).resolves.toBe('hello-world');
+    });
+
+    test('should add the lowest free suffix on collision', async () => {
+      mockExistingPosts([
+        { slug: 'hello-world', slugHistory: [] },
+        { slug: 'other', slugHistory: ['hello-world-2'] },
+        { slug: 'hello-world-4', slugHistory: [] }
+      ]);
+
+      await expect(Post.generateUniqueSlug('Hello World')).resolves.toBe('hello-world-3');
+    });
+
+    test('should exclude the post being renamed', async () => {
+      const find = mockExistingPosts([]);
+
+      await Post.generateUniqueSlug('Hello', 'post-id');
+
+      expect(find.mock.calls[0][0]._id).toEqual({ $ne: 'post-id' });
+    });
+
+    test('should escape the base slug in the lookup', async () => {
+      const find = mockExistingPosts([]);
+
+      await Post.generateUniqueSlug('a');
+
+      const pattern = find.mock.calls[0][0].$or[0].slug;
+      expect(pattern.test('a-12')).toBe(true);
+      expect(pattern.test('ab')).toBe(false);
+    });
+
+    test('should fall back when the title has no usable characters', async () => {
+      mockExistingPosts([]);
+
+      await expect(Post.generateUniqueSlug('日本語')).resolves.toBe('post');
+    });
+  });
+
+  describe('validation hook', () => {
+    const author = '507f1f77bcf86cd799439011';
+
+    test('should generate a slug for new posts', async () => {
+      mockExistingPosts([{ slug: 'cafe-culture', slugHistory: [] }]);
+      const post = new Post({ title: 'Café Culture', content: 'Text', author });
+
+      await post.validate();
+
+      expect(post.slug).toBe('cafe-culture-2');
+    });
+
+    test('should keep an explicit slug', async () => {
+      const find = mockExistingPosts([]);
+      const post = new Post({ title: 'Title', content: 'Text', author, slug: 'custom' });
+
+      await post.validate();
+
+      expect(post.slug).toBe('custom');
+      expect(find).not.toHaveBeenCalled();
+    });
+
+    test('should move the old slug to the history when the title changes', async () => {
+      mockExistingPosts([]);
+      const post = Post.hydrate({
+        _id: '507f1f77bcf86cd799439012',
+        title: 'First Title',
+        content: 'Text',
+        author,
+        slug: 'first-title',
+        slugHistory: ['original']
+      });
+
+      post.title = 'Second Title';
+      await post.validate();
+
+      expect(post.slug).toBe('second-title');
+      expect(post.slugHistory).toEqual(['original', 'first-title']);
+    });
+
+    test('should drop a slug from the history when it becomes current again', async () => {
+      mockExistingPosts([]);
+      const post = Post.hydrate({
+        _id: '507f1f77bcf86cd799439012',
+        title: 'Second Title',
+        content: 'Text',
+        author,
+        slug: 'second-title',
+        slugHistory: ['first-title']
+      });
+
+      post.title = 'First Title';
+      await post.validate();
+
+      expect(post.slug).toBe('first-title');
+      expect(post.slugHistory).toEqual(['second-title']);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Post = require('../../src/models/Post');
+
+describe('Post tags', () => {
+  const author = '507f1f77bcf86cd799439011';
+
+  const makePost = (tags) => new Post({
+    title: 'Tagged',
+    content: 'Text',
+    author,
+    slug: 'tagged',
+    tags
+  });
+
+  describe('validation', () => {
+    test('should normalize tags on assignment', () => {
+      const post = makePost(['JavaScript', ' #javascript', 'Web Dev']);
+
+      expect(post.tags).toEqual(['javascript', 'web-dev']);
+    });
+
+    test('should default to no tags', () => {
+      expect(makePost(undefined).tags).toEqual([]);
+    });
+
+    test('should reject more than 10 tags', async () => {
+      const post = makePost(Array.from({ length: 11 }, (_, i) => `tag${i}`));
+
+      await expect(post.validate()).rejects.toThrow('A post cannot have more than 10 tags');
+    });
+
+    test('should reject tags longer than 30 characters', async () => {
+      const post = makePost(['x'.repeat(31)]);
+
+      await expect(post.validate()).rejects.toThrow('Tags cannot exceed 30 characters');
+    });
+  });
+
+  describe('getTagCounts', () => {
+    test('should count only posts visible to the user', async () => {
+      const aggregate = jest.spyOn(Post, 'aggregate').mockResolvedValue([]);
+
+      await Post.getTagCounts({ id: author, role: 'user' });
+
+      const [pipeline] = aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({
+        $match: { $or: [{ status: 'published' }, { author: new mongoose.Types.ObjectId(author) }] }
+      });
+      // Pipelines are not cast, so the id must already be an ObjectId
+      expect(pipeline[0].$match.$or[1].author).toBeInstanceOf(mongoose.Types.ObjectId);
+      expect(pipeline).toContainEqual({ $unwind: '$tags' });
+    });
+  });
+
+  describe('mergeTags', () => {
+    test('should add the target before removing the sources', async () => {
+      const updateMany = jest.spyOn(Post, 'updateMany')
+        .mockResolvedValueOnce({ modifiedCount: 2 })
+        .mockResolvedValueOnce({ modifiedCount: 3 });
+
+      const count = await Post.mergeTags(['js', 'javascript', 'ecmascript'], 'javascript');
+
+      expect(count).toBe(3);
+      expect(updateMany).toHaveBeenNthCalledWith(
+        1,
+        { tags: { $in: ['js', 'ecmascript'] } },
+        { $addToSet: { tags: 'javascript' } }
+      );
+      expect(updateMany).toHaveBeenNthCalledWith(
+        2,
+        { tags: { $in: ['js', 'ecmascript'] } },
+        { $pull: { tags: { $in: ['js', 'ecmascript'] } } }
+      );
+    });
+
+    test('should do nothing when only the target is given', async () => {
+      const updateMany = jest.spyOn(Post, 'updateMany');
+
+      await expect(Post.mergeTags(['javascript'], 'javascript')).resolves.toBe(0);
+      expect(updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
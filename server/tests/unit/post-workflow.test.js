@@ -0,0 +1,103 @@
+const Post = require('../../src/models/Post');
+const logger = require('../../src/utils/logger');
+const { runScheduledPublishing, startPostScheduler } = require('../../src/utils/scheduler');
+
+describe('Post workflow', () => {
+  const author = '507f1f77bcf86cd799439011';
+
+  const makePost = (fields = {}) => new Post({
+    title: 'Workflow',
+    content: 'Text',
+    author,
+    slug: 'workflow',
+    ...fields
+  });
+
+  describe('validation', () => {
+    test('should default to published with a publish date', async () => {
+      const post = makePost();
+
+      await post.validate();
+
+      expect(post.status).toBe('published');
+      expect(post.publishedAt).toBeInstanceOf(Date);
+    });
+
+    test('should not set a publish date on drafts', async () => {
+      const post = makePost({ status: 'draft' });
+
+      await post.validate();
+
+      expect(post.publishedAt).toBeUndefined();
+    });
+
+    test('should require publishAt for scheduled posts', async () => {
+      const post = makePost({ status: 'scheduled' });
+
+      await expect(post.validate()).rejects.toThrow('publishAt is required for scheduled posts');
+    });
+
+    test('should require publishAt to be in the future', async () => {
+      const post = makePost({ status: 'scheduled', publishAt: new Date(Date.now() - 1000) });
+
+      await expect(post.validate()).rejects.toThrow('publishAt must be in the future');
+    });
+
+    test('should accept a future publishAt', async () => {
+      const post = makePost({ status: 'scheduled', publishAt: new Date(Date.now() + 60 * 1000) });
+
+      await expect(post.validate()).resolves.toBeUndefined();
+      expect(post.publishedAt).toBeUndefined();
+    });
+
+    test('should reject unknown states', async () => {
+      const post = makePost({ status: 'pending' });
+
+      await expect(post.validate()).rejects.toThrow();
+    });
+  });
+
+  describe('publishDue', () => {
+    test('should publish due scheduled posts using their publishAt', async () => {
+      const updateMany = jest.spyOn(Post, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+      const now = new Date();
+
+      await expect(Post.publishDue(now)).resolves.toBe(2);
+
+      expect(updateMany).toHaveBeenCalledWith(
+        { status: 'scheduled', publishAt: { $lte: now } },
+        [{ $set: { status: 'published', publishedAt: '$publishAt' } }]
+      );
+    });
+  });
+
+  describe('scheduler', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should log and swallow publishing errors', async () => {
+      jest.spyOn(Post, 'publishDue').mockRejectedValue(new Error('Database unavailable'));
+      const error = jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(runScheduledPublishing()).resolves.toBe(0);
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('Database unavailable'));
+    });
+
+    test('should run immediately and then on every interval until stopped', async () => {
+      jest.useFakeTimers();
+      const publishDue = jest.spyOn(Post, 'publishDue').mockResolvedValue(0);
+
+      const stop = startPostScheduler({ interval: 1000 });
+      await Promise.resolve();
+      expect(publishDue).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(publishDue).toHaveBeenCalledTimes(3);
+
+      stop();
+      await jest.advanceTimersByTimeAsync(5000);
+      expect(publishDue).toHaveBeenCalledTimes(3);
+    });
+  });
+});
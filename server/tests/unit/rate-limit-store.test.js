@@ -0,0 +1,145 @@
+const {
+  MemoryStore,
+  MongoStore,
+  getRateLimitStore,
+  isRateLimitEnabled
+} = require('../../src/utils/rateLimitStore');
+
+describe('Rate limit stores', () => {
+  describe('MemoryStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new MemoryStore({ cleanupInterval: 0 });
+    });
+
+    afterEach(() => {
+      store.stop();
+    });
+
+    test('should accept hits up to the limit', async () => {
+      const options = { windowMs: 1000, max: 2 };
+
+      expect(await store.hit('a', { ...options, now: 0 })).toEqual({ allowed: true, count: 1, resetMs: 1000 });
+      expect(await store.hit('a', { ...options, now: 400 })).toEqual({ allowed: true, count: 2, resetMs: 600 });
+      expect(await store.hit('a', { ...options, now: 500 })).toEqual({ allowed: false, count: 2, resetMs: 500 });
+    });
+
+    test('should free a slot when the oldest hit leaves the window', async () => {
+      const options = { windowMs: 1000, max: 2 };
+      await store.hit('a', { ...options, now: 0 });
+      await store.hit('a', { ...options, now: 400 });
+
+      expect((await store.hit('a', { ...options, now: 1001 })).allowed).toBe(true);
+      expect((await store.hit('a', { ...options, now: 1002 })).allowed).toBe(false);
+    });
+
+    test('should not record rejected hits', async () => {
+      const options = { windowMs: 1000, max: 1 };
+      await store.hit('a', { ...options, now: 0 });
+      await store.hit('a', { ...options, now: 900 });
+
+      expect((await store.hit('a', { ...options, now: 1001 })).allowed).toBe(true);
+    });
+
+    test('should count keys separately and reset them', async () => {
+      const options = { windowMs: 1000, max: 1, now: 0 };
+      await store.hit('a', options);
+
+      expect((await store.hit('b', options)).allowed).toBe(true);
+
+      await store.reset('a');
+      expect((await store.hit('a', options)).allowed).toBe(true);
+    });
+
+    test('should evict the least recently used keys past maxKeys', async () => {
+      store = new MemoryStore({ maxKeys: 2, cleanupInterval: 0 });
+      const options = { windowMs: 1000, max: 5, now: 0 };
+
+      await store.hit('a', options);
+      await store.hit('b', options);
+      await store.hit('a', options);
+      await store.hit('c', options);
+
+      expect([...store.entries.keys()]).toEqual(['a', 'c']);
+    });
+
+    test('should sweep keys whose window has passed', async () => {
+      await store.hit('short', { windowMs: 100, max: 1, now: 0 });
+      await store.hit('long', { windowMs: 1000, max: 1, now: 0 });
+
+      store.cleanup(500);
+
+      expect([...store.entries.keys()]).toEqual(['long']);
+    });
+
+    test('should sweep on an unref\'d timer', async () => {
+      jest.useFakeTimers();
+      store = new MemoryStore({ cleanupInterval: 1000 });
+      const cleanup = jest.spyOn(store, 'cleanup');
+
+      await store.hit('a', { windowMs: 100, max: 1 });
+      jest.advanceTimersByTime(1000);
+
+      expect(cleanup).toHaveBeenCalledTimes(1);
+      expect(store.timer.hasRef()).toBe(false);
+      jest.useRealTimers();
+    });
+  });
+
+  describe('MongoStore', () => {
+    test('should summarize the hit log returned by the model', async () => {
+      const model = {
+        hit: jest.fn().mockResolvedValue({ allowed: false, hits: [100, 700] }),
+        deleteOne: jest.fn().mockResolvedValue({})
+      };
+      const store = new MongoStore({ model });
+
+      const result = await store.hit('api:ip:1.2.3.4', { windowMs: 1000, max: 2, now: 800 });
+
+      expect(model.hit).toHaveBeenCalledWith('api:ip:1.2.3.4', { windowMs: 1000, max: 2, now: 800 });
+      expect(result).toEqual({ allowed: false, count: 2, resetMs: 300 });
+
+      await store.reset('api:ip:1.2.3.4');
+      expect(model.deleteOne).toHaveBeenCalledWith({ key: 'api:ip:1.2.3.4' });
+    });
+  });
+
+  describe('configuration', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    test('should share one store per type', () => {
+      delete process.env.RATE_LIMIT_STORE;
+      const memory = getRateLimitStore();
+
+      expect(memory).toBeInstanceOf(MemoryStore);
+      expect(getRateLimitStore()).toBe(memory);
+
+      process.env.RATE_LIMIT_STORE = 'mongo';
+      expect(getRateLimitStore()).toBeInstanceOf(MongoStore);
+
+      process.env.RATE_LIMIT_STORE = 'redis';
+      expect(getRateLimitStore()).toBe(memory);
+    });
+
+    test('should be disabled in tests unless enabled explicitly', () => {
+      delete process.env.RATE_LIMIT_ENABLED;
+      process.env.NODE_ENV = 'test';
+      expect(isRateLimitEnabled()).toBe(false);
+
+      process.env.RATE_LIMIT_ENABLED = 'true';
+      expect(isRateLimitEnabled()).toBe(true);
+
+      process.env.NODE_ENV = 'production';
+      process.env.RATE_LIMIT_ENABLED = 'false';
+      expect(isRateLimitEnabled()).toBe(false);
+
+      delete process.env.RATE_LIMIT_ENABLED;
+      expect(isRateLimitEnabled()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const Reaction = require('../../src/models/Reaction');
+
+describe('Reaction', () => {
+  const postA = '507f1f77bcf86cd799439011';
+  const postB = '507f1f77bcf86cd799439012';
+  const userId = '507f1f77bcf86cd799439013';
+
+  describe('add', () => {
+    test('should upsert so repeated reactions are stored once', async () => {
+      const updateOne = jest.spyOn(Reaction, 'updateOne').mockResolvedValue({});
+
+      await Reaction.add(postA, userId, 'like');
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { post: postA, user: userId, type: 'like' },
+        { $setOnInsert: { post: postA, user: userId, type: 'like' } },
+        expect.objectContaining({ upsert: true })
+      );
+    });
+
+    test('should ignore a duplicate key from a concurrent request', async () => {
+      jest.spyOn(Reaction, 'updateOne').mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+      await expect(Reaction.add(postA, userId, 'like')).resolves.toBeUndefined();
+    });
+
+    test('should rethrow other errors', async () => {
+      jest.spyOn(Reaction, 'updateOne').mockRejectedValue(new Error('connection lost'));
+
+      await expect(Reaction.add(postA, userId, 'like')).rejects.toThrow('connection lost');
+    });
+  });
+
+  describe('summarize', () => {
+    const group = (post, type, count, mine = false) => ({
+      _id: { post: { toString: () => post }, type },
+      count,
+      mine
+    });
+
+    test('should summarize every post with one aggregation', async () => {
+      const aggregate = jest.spyOn(Reaction, 'aggregate').mockResolvedValue([
+        group(postA, 'love', 1, true),
+        group(postA, 'like', 3, true),
+        group(postA, 'wow', 2)
+      ]);
+
+      const summaries = await Reaction.summarize([postA, postB], userId);
+
+      expect(aggregate).toHaveBeenCalledTimes(1);
+      expect(summaries.get(postA)).toEqual({
+        counts: { like: 3, love: 1, laugh: 0, wow: 2, sad: 0 },
+        total: 6,
+        mine: ['like', 'love'],
+        likedByMe: true
+      });
+      expect(summaries.get(postB)).toEqual({
+        counts: { like: 0, love: 0, laugh: 0, wow: 0, sad: 0 },
+        total: 0,
+        mine: [],
+        likedByMe: false
+      });
+    });
+
+    test('should not mark anything as mine without a user', async () => {
+      const aggregate = jest.spyOn(Reaction, 'aggregate').mockResolvedValue([]);
+
+      await Reaction.summarize([postA], undefined);
+
+      const [pipeline] = aggregate.mock.calls[0];
+      expect(pipeline[1].$group.mine).toEqual({ $max: { $eq: ['$user', null] } });
+    });
+  });
+});
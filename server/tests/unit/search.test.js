@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Post = require('../../src/models/Post');
+const { toTextSearch, getTerms, highlight } = require('../../src/utils/search');
+
+describe('Search', () => {
+  describe('toTextSearch', () => {
+    test('should strip phrase quotes and negation', () => {
+      expect(toTextSearch('"exact phrase" -excluded --term')).toBe('exact phrase excluded term');
+    });
+
+    test('should keep hyphens inside words', () => {
+      expect(toTextSearch('full-text search')).toBe('full-text search');
+    });
+
+    test('should return an empty string for operator-only input', () => {
+      expect(toTextSearch('" - \\\\ "')).toBe('');
+    });
+  });
+
+  describe('getTerms', () => {
+    test('should return unique lowercase terms', () => {
+      expect(getTerms('Mongo mongo  SEARCH')).toEqual(['mongo', 'search']);
+    });
+  });
+
+  describe('highlight', () => {
+    test('should wrap every match in <mark>, ignoring case', () => {
+      expect(highlight('Mongo and mongoose', ['mongo'], 0))
+        .toBe('<mark>Mongo</mark> and <mark>mongo</mark>ose');
+    });
+
+    test('should escape HTML in the text and in matches', () => {
+      expect(highlight('<b>bold</b> text', ['<b>'], 0))
+        .toBe('<mark>&lt;b&gt;</mark>bold&lt;&#x2F;b&gt; text');
+    });
+
+    test('should treat regex characters in terms literally', () => {
+      expect(highlight('costs $5 (approx.)', ['(approx.)'], 0))
+        .toBe('costs $5 <mark>(approx.)</mark>');
+    });
+
+    test('should trim long text to a snippet around the first match', () => {
+      const text = `${'a '.repeat(200)}needle${' b'.repeat(200)}`;
+
+      const snippet = highlight(text, ['needle'], 60);
+
+      expect(snippet).toContain('<mark>needle</mark>');
+      expect(snippet.startsWith('…')).toBe(true);
+      expect(snippet.endsWith('…')).toBe(true);
+    });
+
+    test('should start the snippet at the beginning without a match', () => {
+      const snippet = highlight('x'.repeat(100), ['needle'], 10);
+
+      expect(snippet).toBe(`${'x'.repeat(10)}…`);
+    });
+
+    test('should return an empty string for empty text', () => {
+      expect(highlight(undefined, ['term'])).toBe('');
+    });
+  });
+
+  describe('post visibility', () => {
+    const author = '507f1f77bcf86cd799439011';
+
+    test('should only show published posts to anonymous users', () => {
+      expect(Post.getVisibilityFilter(undefined)).toEqual({
+        $or: [{ status: 'published' }]
+      });
+    });
+
+    test('should include the user\'s own posts', () => {
+      expect(Post.getVisibilityFilter({ id: author, role: 'user' })).toEqual({
+        $or: [{ status: 'published' }, { author: new mongoose.Types.ObjectId(author) }]
+      });
+    });
+
+    test('should not filter for moderators', () => {
+      expect(Post.getVisibilityFilter({ id: author, role: 'moderator' })).toEqual({});
+    });
+
+    test('should hide drafts from other users', () => {
+      const post = new Post({ title: 'Draft', content: 'Text', author, status: 'draft' });
+
+      expect(post.isVisibleTo(undefined)).toBe(false);
+      expect(post.isVisibleTo({ id: '507f1f77bcf86cd799439012', role: 'user' })).toBe(false);
+      expect(post.isVisibleTo({ id: author, role: 'user' })).toBe(true);
+    });
+  });
+});
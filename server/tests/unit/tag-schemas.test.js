@@ -0,0 +1,30 @@
+const schemas = require('../../src/schemas/tags');
+
+describe('Tag validation schemas', () => {
+  const options = { abortEarly: false, stripUnknown: true, errors: { wrap: { label: false } } };
+  const validate = (schema, value) => schema.validate(value, options);
+  const messages = ({ error }) => error.details.map(detail => detail.message);
+
+  describe('mergeTags', () => {
+    test('should accept a list or a comma-separated string', () => {
+      expect(validate(schemas.mergeTags.body, { from: ['js'], into: 'javascript' }).error).toBeUndefined();
+      expect(validate(schemas.mergeTags.body, { from: 'js,ecmascript', into: 'javascript' }).error).toBeUndefined();
+    });
+
+    test('should reject missing and malformed tags', () => {
+      expect(messages(validate(schemas.mergeTags.body, {}))).toEqual([
+        'from is required',
+        'into is required'
+      ]);
+      expect(messages(validate(schemas.mergeTags.body, { from: { js: true }, into: ['javascript'] }))).toEqual([
+        'from must be a list of tags',
+        'into must be a string'
+      ]);
+    });
+
+    test('should report failures as INVALID_TAGS', () => {
+      expect(schemas.mergeTags.missing.code).toBe('INVALID_TAGS');
+      expect(schemas.mergeTags.invalid.code).toBe('INVALID_TAGS');
+    });
+  });
+});
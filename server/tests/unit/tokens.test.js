@@ -0,0 +1,127 @@
+const jwt = require('jsonwebtoken');
+const {
+  generateToken,
+  verifyToken,
+  generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
+  getEmailVerificationPolicy,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken
+} = require('../../src/utils/auth');
+
+describe('Token Utilities', () => {
+  const user = {
+    _id: '507f1f77bcf86cd799439011',
+    email: 'test@example.com',
+    role: 'admin'
+  };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    delete process.env.JWT_EXPIRE;
+    delete process.env.REFRESH_TOKEN_EXPIRE_DAYS;
+  });
+
+  describe('generateToken', () => {
+    test('should sign a short-lived token with a unique jti', () => {
+      const token = generateToken(user);
+      const decoded = jwt.verify(token, 'test-secret');
+
+      expect(decoded).toEqual(expect.objectContaining({
+        id: user._id,
+        email: user.email,
+        role: user.role,
+        ver: 0,
+        jti: expect.any(String)
+      }));
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+      expect(jwt.decode(generateToken(user)).jti).not.toBe(decoded.jti);
+    });
+
+    test('should honour JWT_EXPIRE', () => {
+      process.env.JWT_EXPIRE = '1h';
+      const decoded = jwt.decode(generateToken(user));
+
+      expect(decoded.exp - decoded.iat).toBe(60 * 60);
+    });
+
+    test('should carry the token version', () => {
+      const decoded = jwt.decode(generateToken({ ...user, tokenVersion: 3 }));
+
+      expect(decoded.ver).toBe(3);
+    });
+
+    test('should default role to user', () => {
+      const decoded = jwt.decode(generateToken({ _id: '1', email: 'a@b.com' }));
+
+      expect(decoded.role).toBe('user');
+    });
+  });
+
+  describe('verifyToken', () => {
+    test('should verify tokens signed with the configured secret', () => {
+      const token = generateToken(user);
+
+      expect(verifyToken(token).id).toBe(user._id);
+    });
+
+    test('should reject tokens signed with another secret', () => {
+      const token = jwt.sign({ id: user._id }, 'other-secret');
+
+      expect(() => verifyToken(token)).toThrow();
+    });
+  });
+
+  describe('refresh tokens', () => {
+    test('should generate random opaque tokens', () => {
+      const token = generateRefreshToken();
+
+      expect(token).toMatch(/^[0-9a-f]{80}$/);
+      expect(generateRefreshToken()).not.toBe(token);
+    });
+
+    test('should hash tokens deterministically', () => {
+      expect(hashToken('abc')).toBe(hashToken('abc'));
+      expect(hashToken('abc')).not.toBe(hashToken('abd'));
+      expect(hashToken('abc')).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should expire refresh tokens after the configured number of days', () => {
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(0);
+      process.env.REFRESH_TOKEN_EXPIRE_DAYS = '2';
+
+      expect(getRefreshTokenExpiry().getTime()).toBe(2 * 24 * 60 * 60 * 1000);
+
+      dateSpy.mockRestore();
+    });
+  });
+
+  describe('email verification tokens', () => {
+    afterEach(() => {
+      delete process.env.EMAIL_VERIFICATION_POLICY;
+    });
+
+    test('should round-trip the user id and email', () => {
+      const token = generateEmailVerificationToken(user);
+
+      expect(verifyEmailVerificationToken(token)).toEqual(expect.objectContaining({
+        id: user._id,
+        email: user.email
+      }));
+    });
+
+    test('should not be interchangeable with access tokens', () => {
+      expect(() => verifyToken(generateEmailVerificationToken(user))).toThrow();
+      expect(() => verifyEmailVerificationToken(generateToken(user))).toThrow();
+    });
+
+    test('should fall back to the off policy for unknown values', () => {
+      process.env.EMAIL_VERIFICATION_POLICY = 'sometimes';
+      expect(getEmailVerificationPolicy()).toBe('off');
+
+      process.env.EMAIL_VERIFICATION_POLICY = 'block';
+      expect(getEmailVerificationPolicy()).toBe('block');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCodeForStep,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpauthUri
+} = require('../../src/utils/totp');
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP Utilities', () => {
+  describe('base32', () => {
+    test('should encode RFC 4648 test vectors', () => {
+      expect(base32Encode(Buffer.from('f'))).toBe('MY');
+      expect(base32Encode(Buffer.from('foob'))).toBe('MZXW6YQ');
+      expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    test('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 255, 128, 64]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    test('should ignore case, spaces and padding when decoding', () => {
+      expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    test('should reject invalid characters', () => {
+      expect(() => base32Decode('MZ1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateSecret', () => {
+    test('should generate a 160-bit base32 secret', () => {
+      const secret = generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+      expect(generateSecret()).not.toBe(secret);
+    });
+  });
+
+  describe('generateTOTP', () => {
+    test.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ])('should match the RFC 6238 vector at T=%i', (seconds, expected) => {
+      expect(generateTOTP(RFC_SECRET, seconds * 1000)).toBe(expected);
+    });
+
+    test('should support longer codes', () => {
+      expect(generateCodeForStep(RFC_SECRET, 1, 8)).toBe('94287082');
+    });
+  });
+
+  describe('verifyTOTP', () => {
+    const time = 1111111111 * 1000;
+    const step = Math.floor(1111111111 / 30);
+
+    test('should return the matching step for a valid code', () => {
+      expect(verifyTOTP(RFC_SECRET, '050471', { time })).toBe(step);
+    });
+
+    test('should accept codes from adjacent steps', () => {
+      const previous = generateCodeForStep(RFC_SECRET, step - 1);
+
+      expect(verifyTOTP(RFC_SECRET, previous, { time })).toBe(step - 1);
+    });
+
+    test('should reject codes outside the window', () => {
+      const old = generateCodeForStep(RFC_SECRET, step - 2);
+
+      expect(verifyTOTP(RFC_SECRET, old, { time })).toBeNull();
+    });
+
+    test('should reject already used steps', () => {
+      expect(verifyTOTP(RFC_SECRET, '050471', { time, afterStep: step })).toBeNull();
+    });
+
+    test('should reject malformed codes', () => {
+      expect(verifyTOTP(RFC_SECRET, '12345', { time })).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, 'abcdef', { time })).toBeNull();
+      expect(verifyTOTP(RFC_SECRET, undefined, { time })).toBeNull();
+      expect(verifyTOTP(undefined, '050471', { time })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    test('should build a provisioning URI', () => {
+      const uri = buildOtpauthUri('JBSWY3DPEHPK3PXP', 'jane@example.com', 'Acme');
+
+      expect(uri).toBe(
+        'otpauth://totp/Acme%3Ajane%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Acme&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+});
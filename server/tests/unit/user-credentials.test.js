@@ -0,0 +1,49 @@
+const bcrypt = require('bcryptjs');
+const User = require('../../src/models/User');
+
+describe('User.findByCredentials', () => {
+  const lockedOut = (overrides) => User.hydrate({
+    _id: '507f1f77bcf86cd799439011',
+    email: 'user@example.com',
+    isActive: true,
+    failedLoginAttempts: 3,
+    lockoutCount: 1,
+    ...overrides
+  });
+
+  const mockFindOne = (user) => {
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(user) });
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+  };
+
+  test('should clear failed logins on a correct password', async () => {
+    const user = lockedOut();
+    mockFindOne(user);
+
+    await User.findByCredentials('user@example.com', 'Secure$Pass1');
+
+    expect(user.failedLoginAttempts).toBe(0);
+    expect(user.lockoutCount).toBe(0);
+  });
+
+  test('should check a password even when no account matches', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+    jest.spyOn(bcrypt, 'hash').mockResolvedValue('dummy-hash');
+    const compare = jest.spyOn(bcrypt, 'compare').mockResolvedValue(false);
+
+    await expect(User.findByCredentials('nobody@example.com', 'Secure$Pass1'))
+      .rejects.toThrow('Invalid login credentials');
+
+    expect(compare).toHaveBeenCalledWith('Secure$Pass1', 'dummy-hash');
+  });
+
+  test('should keep failed logins until the second factor passes', async () => {
+    const user = lockedOut({ twoFactorEnabled: true });
+    mockFindOne(user);
+
+    await User.findByCredentials('user@example.com', 'Secure$Pass1');
+
+    expect(user.failedLoginAttempts).toBe(3);
+    expect(user.lockoutCount).toBe(1);
+  });
+});